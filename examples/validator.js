@@ -1,26 +1,17 @@
 'use strict';
 
-var schema = new (require('jsonschema').Environment)();
-var mongodb = require('mongodb');
-var ObjectId = mongodb.BSONPure.ObjectID;
+var odm = require('../lib');
+var ObjectId = odm.ObjectId;
 
-
-schema.addSchema({
-  "type": "object",
-  "id": "MongoDb#ObjectId",
-  "description": "MongoDB ObjectID",
-  "properties": {
-    "id": {"type": "string"},
-    "_bsontype": {"type": "string"}
-  }
-}, "MongoDb#ObjectId");
-
-var schemaInstance = schema.addSchema({
+// MongoDb#ObjectId, MongoDb#Date, MongoDb#Binary, MongoDb#Decimal128, MongoDb#Long and MongoDb#Timestamp are
+// registered by the ODM
+var schemaInstance = odm.createSchema({
   "id": "MonsterTracker#BattleSession",
   "type": "object",
   "description": "BattleSession",
   "properties": {
     "_id": {"$ref": "MongoDb#ObjectId"},
+    "startedAt": {"$ref": "MongoDb#Date"},
     "seed": {"type": "number"},
     "battleType": {"type": "integer"},
     "battleResult": {"type": "integer"}
@@ -30,5 +21,7 @@ var schemaInstance = schema.addSchema({
 
 var oid = new ObjectId();
 var oid_client = oid.toHexString();
-console.log(schema.validate({_id: oid_client}, schemaInstance));
-
+// [] the ObjectId and the Date are BSON values
+console.log(odm.validate({_id: oid, startedAt: new Date()}, schemaInstance));
+// [{property: 'instance._id', message: 'is not ObjectId'}, ...] a hex string is not an ObjectId
+console.log(odm.validate({_id: oid_client, startedAt: new Date().toISOString()}, schemaInstance));
@@ -0,0 +1,823 @@
+/**
+ * This module contains the connection to a MongoDB database and the data access functions that run on top of it.
+ *
+ * @author <a href="mailto:plopes@roughcookie.com">Paulo Lopes</a>
+ */
+'use strict';
+
+/** @private */
+var util = require('util');
+/** @private */
+var EventEmitter = require('events').EventEmitter;
+/** @private */
+var mongodb = require('mongodb');
+/** @private */
+var Cursor = mongodb.Cursor;
+/** @private */
+var Cache = require('./helpers/cache');
+/** @private */
+var common = require('./protos/common');
+/** @private */
+var errors = require('./errors');
+
+var extractOption = common.extractOption;
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * Default retry and timeout settings, they can be overridden in the connect options.
+ */
+var DEFAULTS = {
+  // number of retries after the first failed connect attempt
+  retries: 3,
+  // delay before the first retry in ms
+  retryDelay: 500,
+  // each retry waits backoffFactor times longer than the previous one
+  backoffFactor: 2,
+  // upper limit for the delay between retries in ms
+  maxRetryDelay: 10000,
+  // maximum time to wait for a connection including all retries in ms, 0 waits forever
+  connectTimeout: 30000,
+  // connect again, with the same retries, when an open connection is lost
+  reconnect: true
+};
+
+/**
+ * Lazy connection to a MongoDB database. All models bound to the same connection share the collection cache.
+ *
+ * The connection is a state machine (disconnected -> connecting -> connected) that emits the events:
+ *  - connecting: a connect was started
+ *  - connected: the connect completed, all pending requests have been flushed
+ *  - disconnected([error]): the connection was closed, with the driver error if it was lost
+ *  - reconnectFailed(error): all retries failed or the connect timed out
+ *
+ * A connection lost after it was established is opened again right away with the same retries, unless the reconnect
+ * option is false; then the next request reconnects.
+ *
+ * @name Connection
+ * @constructor
+ * @augments EventEmitter
+ * @param {String} name connection name
+ *
+ * @property {String} name
+ * @property {String} state one of disconnected, connecting or connected
+ * @property {Db} db native driver database object
+ */
+function Connection(name) {
+  EventEmitter.call(this);
+
+  this.name = name;
+  this.state = Connection.DISCONNECTED;
+  this.db = null;
+
+  this._collections = {};
+  // requests waiting for the connect to complete
+  this._pending = [];
+  // incremented on every connect/disconnect so late driver callbacks can be ignored
+  this._generation = 0;
+  this._retryTimer = null;
+  this._timeoutTimer = null;
+
+  this._url = null;
+  this._options = null;
+  this._settings = null;
+  this._safeOptions = null;
+
+  this._snapshotsCache = new Cache();
+}
+
+util.inherits(Connection, EventEmitter);
+
+/**
+ * @static
+ * @memberOf Connection
+ * @type {String}
+ */
+Connection.DISCONNECTED = 'disconnected';
+/**
+ * @static
+ * @memberOf Connection
+ * @type {String}
+ */
+Connection.CONNECTING = 'connecting';
+/**
+ * @static
+ * @memberOf Connection
+ * @type {String}
+ */
+Connection.CONNECTED = 'connected';
+
+/**
+ * Names of the connection state events.
+ *
+ * @static
+ * @memberOf Connection
+ * @type {String[]}
+ */
+Connection.EVENTS = ['connecting', 'connected', 'disconnected', 'reconnectFailed'];
+
+/**
+ * Names of the data access functions, these are the functions models use to talk to the database.
+ *
+ * @static
+ * @memberOf Connection
+ * @type {String[]}
+ */
+Connection.METHODS = ['collection', 'findOne', 'find', 'findAndModify', 'count', 'stats', 'aggregate', 'insert',
+  'update', 'save', 'remove', 'snapshot', 'revert', 'flush'];
+
+/**
+ * Defines the connection url
+ *
+ * @memberOf Connection.prototype
+ * @param {String} url mongodb connection string, The format is: mongodb://<server>:<port>/<database>
+ * @param {Object} [options] Options passed to the native driver
+ * @param {Number} [options.retries] number of retries after the first failed attempt
+ * @param {Number} [options.retryDelay] delay before the first retry in ms
+ * @param {Number} [options.backoffFactor] multiplier applied to the delay on every retry
+ * @param {Number} [options.maxRetryDelay] upper limit for the delay between retries in ms
+ * @param {Number} [options.connectTimeout] maximum time to wait for the connect including retries in ms
+ * @param {Boolean} [options.reconnect] connect again when an open connection is lost, true by default
+ * @param {Function} [callback] Callback if we want to connect right away
+ */
+Connection.prototype.connect = function (url, options, callback) {
+  // disconnect any open connection
+  this.disconnect();
+
+  this._url = url;
+  this._options = options || {};
+  this._collections = {};
+
+  this._settings = {};
+  var key;
+  for (key in DEFAULTS) {
+    if (DEFAULTS.hasOwnProperty(key)) {
+      this._settings[key] = extractOption(key, this._options, DEFAULTS[key]);
+    }
+  }
+
+  this._safeOptions = extractOption('safe', this._options, true);
+  // enable safe by default
+  this._options.db = {safe: this._safeOptions};
+
+  if (callback !== undefined) {
+    this._pending.push(callback);
+    this._open();
+  }
+  return null;
+};
+
+/**
+ * Disconnects from the database
+ * If not connected this is a no-op operation.
+ *
+ * @memberOf Connection.prototype
+ * @param {Function} [callback] Callback if we want to connect right away
+ */
+Connection.prototype.disconnect = function (callback) {
+  var db = this.db;
+  var wasConnecting = this.state === Connection.CONNECTING;
+
+  // any driver callback still in flight belongs to the old connection
+  this._generation++;
+  this._clearTimers();
+
+  // clear collection cache
+  this._collections = {};
+  this.db = null;
+  this.state = Connection.DISCONNECTED;
+
+  if (wasConnecting) {
+    this._flushPending(new errors.ConnectionError('Connection closed before the connect completed.'));
+  }
+
+  if (db) {
+    if (callback !== undefined) {
+      db.close(callback);
+    } else {
+      db.close();
+    }
+  } else if (callback !== undefined) {
+    callback(null);
+  }
+
+  if (db || wasConnecting) {
+    this.emit('disconnected');
+  }
+};
+
+/**
+ * Uses a native driver database opened elsewhere, the requests waiting for a connect run on it. The connection does
+ * not own the db: it is neither closed nor reconnected by the connection, null detaches it.
+ *
+ * @memberOf Connection.prototype
+ * @param {Db|null} db native driver database object
+ */
+Connection.prototype.use = function (db) {
+  var previous = this.db;
+  var wasConnecting = this.state === Connection.CONNECTING;
+
+  // a connect still in flight is replaced by this db
+  this._generation++;
+  this._clearTimers();
+
+  // clear collection cache
+  this._collections = {};
+  this.db = db || null;
+
+  if (this.db === null) {
+    this.state = Connection.DISCONNECTED;
+    if (wasConnecting) {
+      this._flushPending(new errors.ConnectionError('Connection closed before the connect completed.'));
+    }
+    if (previous || wasConnecting) {
+      this.emit('disconnected');
+    }
+    return;
+  }
+
+  if (this._safeOptions === null) {
+    this._safeOptions = true;
+  }
+
+  this.state = Connection.CONNECTED;
+  this.emit('connected');
+  this._flushPending(null);
+};
+
+/**
+ * Gets a collection object from the native driver
+ *
+ * @memberOf Connection.prototype
+ * @param {String} collection_name mongodb collection name
+ * @param {Object} [options] Options passed to the native driver
+ * @param {Function} callback Callback function(err, collection)
+ */
+Connection.prototype.collection = function (collection_name, options, callback) {
+  var self = this;
+
+  if (callback === undefined) {
+    callback = options;
+    options = {};
+  }
+
+  if (self.state !== Connection.CONNECTED) {
+    if (!self._url) {
+      return callback(new errors.ConnectionError('No Connection defined.'));
+    }
+
+    // delay this request until the connect completes
+    self._pending.push(function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      return self.collection(collection_name, options, callback);
+    });
+
+    if (self.state === Connection.DISCONNECTED) {
+      self._open();
+    }
+    return null;
+  }
+
+  if (self._collections[collection_name]) {
+    return callback(null, self._collections[collection_name]);
+  }
+
+  self.db.collection(collection_name, options, function (err, collection) {
+    if (!err) {
+      self._collections[collection_name] = collection;
+    }
+    return callback(err, collection);
+  });
+};
+
+/**
+ * @private
+ * Starts connecting, failed attempts are retried with an exponential backoff until either the retries are exhausted
+ * or the connect timeout expires.
+ *
+ * @memberOf Connection.prototype
+ */
+Connection.prototype._open = function () {
+  var self = this;
+  var settings = self._settings;
+  var generation = ++self._generation;
+  var attempt = 0;
+
+  self.state = Connection.CONNECTING;
+  self.emit('connecting');
+
+  var fail = function (err) {
+    self._generation++;
+    self._clearTimers();
+    self.state = Connection.DISCONNECTED;
+    self.emit('reconnectFailed', err);
+    self._flushPending(err);
+  };
+
+  var tryConnect = function () {
+    self._retryTimer = null;
+
+    mongodb.connect(self._url, self._options, function (err, db) {
+      if (generation !== self._generation) {
+        // disconnected or timed out meanwhile
+        if (db) {
+          db.close();
+        }
+        return;
+      }
+
+      if (err) {
+        if (attempt >= settings.retries) {
+          return fail(new errors.ConnectionError(String(err && err.message ? err.message : err), err));
+        }
+
+        var delay = Math.min(settings.retryDelay * Math.pow(settings.backoffFactor, attempt), settings.maxRetryDelay);
+        attempt++;
+        self._retryTimer = setTimeout(tryConnect, delay);
+        return;
+      }
+
+      self._clearTimers();
+
+      self.db = db;
+      self.state = Connection.CONNECTED;
+      self._collections = {};
+
+      db.on('close', function (err) {
+        // only the current db matters, an explicit disconnect already cleaned up
+        if (self.db !== db) {
+          return;
+        }
+        // clear collection cache
+        self._collections = {};
+        self.db = null;
+        self.state = Connection.DISCONNECTED;
+        // stop the driver from reconnecting the old db on its own
+        db.close();
+        // the driver error that closed the db, if any, is left to the listeners
+        if (err) {
+          self.emit('disconnected', err);
+        } else {
+          self.emit('disconnected');
+        }
+
+        if (settings.reconnect && self.state === Connection.DISCONNECTED) {
+          self._open();
+        }
+      });
+
+      self.emit('connected');
+      self._flushPending(null);
+    });
+  };
+
+  if (settings.connectTimeout > 0) {
+    self._timeoutTimer = setTimeout(function () {
+      self._timeoutTimer = null;
+      fail(new errors.ConnectionError('Connect timeout after ' + settings.connectTimeout + 'ms.'));
+    }, settings.connectTimeout);
+  }
+
+  tryConnect();
+};
+
+/**
+ * @private
+ * Calls all pending requests.
+ *
+ * @memberOf Connection.prototype
+ * @param {*} err
+ */
+Connection.prototype._flushPending = function (err) {
+  var pending = this._pending;
+  this._pending = [];
+
+  var i;
+  for (i = 0; i < pending.length; i++) {
+    pending[i](err);
+  }
+};
+
+/**
+ * @private
+ * @memberOf Connection.prototype
+ */
+Connection.prototype._clearTimers = function () {
+  if (this._retryTimer !== null) {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+  }
+  if (this._timeoutTimer !== null) {
+    clearTimeout(this._timeoutTimer);
+    this._timeoutTimer = null;
+  }
+};
+
+/**
+ * @memberOf Connection.prototype
+ *
+ * @param {String} collection_name
+ * @param {Object} query
+ * @param {Object} fields
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.findOne = function (collection_name, query, fields, options, callback) {
+  this.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    return collection.findOne(query, fields, options, callback);
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ *
+ * @param {String} collection_name
+ * @param {Object} query
+ * @param {Object} fields
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.find = function (collection_name, query, fields, options, callback) {
+  var wantCursor = extractOption('cursor', options, false);
+
+  this.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    return collection.find(query, fields, options, function (err, cursor) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (wantCursor) {
+        if (cursor.state !== Cursor.CLOSED) {
+          return callback(null, cursor);
+        }
+
+        return callback(new errors.StateError('Cursor is closed'));
+      }
+
+      return cursor.toArray(function (err, array) {
+        if (err) {
+          return callback(err);
+        }
+
+        // clean resources
+        if (!cursor.isClosed()) {
+          cursor.close();
+        }
+
+        return callback(null, array);
+      });
+    });
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ *
+ * @param {String} collection_name
+ * @param {Object} query
+ * @param {Object} sort
+ * @param {Object} document
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.findAndModify = function (collection_name, query, sort, document, options, callback) {
+  var wantCursor = extractOption('cursor', options, false);
+
+  this.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    return collection.findAndModify(query, sort, document, options, callback);
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ * @param {String} collection_name
+ * @param {Object} query
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.count = function (collection_name, query, options, callback) {
+  this.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    return collection.find(query, options).count(callback);
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ * @param {String} collection_name
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.stats = function (collection_name, options, callback) {
+  this.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    return collection.stats(options, callback);
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ * @param {String} collection_name
+ * @param {Object[]} pipeline aggregation stages
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.aggregate = function (collection_name, pipeline, options, callback) {
+  this.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    return collection.aggregate(pipeline, options, callback);
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ *
+ * @param {String} collection_name
+ * @param {Object|Object[]}documents
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.insert = function (collection_name, documents, options, callback) {
+  var self = this;
+
+  self.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    options.safe = self._safeOptions;
+    return collection.insert(documents, options, callback);
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ *
+ * @param {String} collection_name
+ * @param {Object} criteria
+ * @param {Object} document
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.update = function (collection_name, criteria, document, options, callback) {
+  var self = this;
+
+  self.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    options.safe = self._safeOptions;
+    return collection.update(criteria, document, options, callback);
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ *
+ * @param {String} collection_name
+ * @param {Object} document
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.save = function (collection_name, document, options, callback) {
+  var self = this;
+
+  self.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    options.safe = self._safeOptions;
+    return collection.save(document, options, callback);
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ *
+ * @param {String} collection_name
+ * @param {Object} query
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.remove = function (collection_name, query, options, callback) {
+  var self = this;
+
+  self.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    options.safe = self._safeOptions;
+    return collection.remove(query, options, callback);
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ *
+ * @param {String} collection_name
+ * @param {ObjectId} oid
+ * @param {Object} fields
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.snapshot = function (collection_name, oid, fields, options, callback) {
+  var self = this;
+
+  var storeSnapshot = function (txdocument) {
+    if (options.transient === true) {
+      self._snapshotsCache.set(oid.toHexString(), txdocument);
+      callback(null);
+    } else {
+      self.collection('snapshots', options, function (err, txcollection) {
+        if (err) {
+          return callback(err);
+        }
+
+        options.safe = self._safeOptions;
+        return txcollection.save(txdocument, options, callback);
+      });
+    }
+  };
+
+  self.collection(collection_name, options, function (err, collection) {
+    if (err) {
+      return callback(err);
+    }
+
+    return collection.findOne({_id: oid}, fields, options, function (err, document) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (document === null) {
+        return callback(new errors.NotFoundError(collection_name, oid));
+      }
+
+      storeSnapshot({_id: oid, fields: fields, doc: document});
+    });
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ *
+ * @param {String} collection_name
+ * @param {ObjectId} oid
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.revert = function (collection_name, oid, options, callback) {
+  var self = this;
+
+  var loadSnapshot = function (callback) {
+    if (options.transient === true) {
+      callback(null, self._snapshotsCache.get(oid.toHexString()));
+    } else {
+      self.collection('snapshots', options, function (err, txcollection) {
+        if (err) {
+          return callback(err);
+        }
+
+        return txcollection.findOne({_id: oid}, {}, options, callback);
+      });
+    }
+  };
+
+  var cleanSnapshot = function (callback) {
+    if (options.transient === true) {
+      self._snapshotsCache.del(oid.toHexString());
+      callback(null);
+    } else {
+      self.collection('snapshots', options, function (err, txcollection) {
+        if (err) {
+          return callback(err);
+        }
+
+        txcollection.remove({_id: oid}, options, callback);
+      });
+    }
+  };
+
+  loadSnapshot(function (err, document) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (document === null) {
+      return callback(new errors.NotFoundError('snapshots', oid));
+    }
+
+    return self.collection(collection_name, options, function (err, collection) {
+      if (err) {
+        return callback(err);
+      }
+
+      options.safe = self._safeOptions;
+      // was this snapshot a full doc or partial?
+      var fields = Object.keys(document.fields);
+
+      if (fields.length > 0) {
+        // partial
+        // remove _id
+        delete document.doc._id;
+        var update = {$set: document.doc};
+
+        // generate unset list
+        var docFields = Object.keys(document.doc);
+        var i, j;
+        for (i = 0; i < docFields.length; i++) {
+          for (j = 0; j < fields.length; j++) {
+            if (docFields[i] === fields[j]) {
+              fields.splice(j, 1);
+              break;
+            }
+          }
+        }
+
+        if (fields.length > 0) {
+          update.$unset = {};
+          for (j = 0; j < fields.length; j++) {
+            update.$unset[fields[j]] = 1;
+          }
+        }
+
+        collection.update({_id: oid}, update, options, function (err) {
+          if (err) {
+            return callback(err);
+          }
+
+          // clean up
+          delete options.safe;
+          return cleanSnapshot(callback);
+        });
+      } else {
+        // full
+        // ensure _id
+        document.doc._id = oid;
+        collection.save(document.doc, options, function (err) {
+          if (err) {
+            return callback(err);
+          }
+
+          // clean up
+          delete options.safe;
+          return cleanSnapshot(callback);
+        });
+      }
+    });
+  });
+};
+
+/**
+ * @memberOf Connection.prototype
+ *
+ * @param {String} collection_name
+ * @param {ObjectId} oid
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Connection.prototype.flush = function (collection_name, oid, options, callback) {
+  if (options.transient === true) {
+    this._snapshotsCache.del(oid.toHexString());
+    callback(null);
+  } else {
+    this.collection('snapshots', options, function (err, txcollection) {
+      if (err) {
+        return callback(err);
+      }
+
+      return txcollection.remove({_id: oid}, options, callback);
+    });
+  }
+};
+
+module.exports = Connection;
@@ -0,0 +1,229 @@
+/**
+ * This module contains the error classes reported by the ODM.
+ *
+ * @author <a href="mailto:plopes@roughcookie.com">Paulo Lopes</a>
+ */
+'use strict';
+
+/** @private */
+var util = require('util');
+
+/**
+ * @private
+ * Sets the common fields of an error.
+ *
+ * @param {Error} error
+ * @param {Function} constructor
+ * @param {String} name
+ * @param {String} code
+ * @param {String} message
+ */
+function init(error, constructor, name, code, message) {
+  Error.call(error);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(error, constructor);
+  }
+
+  error.name = name;
+  error.code = code;
+  error.message = message;
+}
+
+/**
+ * @private
+ * Converts the property of a validator error (instance.list[0].name) to a dotted path (list.0.name), the document
+ * itself is the empty path.
+ *
+ * @param {String} property
+ * @return {String}
+ */
+function toPath(property) {
+  var parts = [];
+  var suffix = /\.([^.\[]+)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/g;
+  var match;
+
+  if (typeof property !== 'string') {
+    return '';
+  }
+
+  property = property.replace(/^instance/, '');
+  while ((match = suffix.exec(property)) !== null) {
+    parts.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : JSON.parse(match[3]));
+  }
+  return parts.join('.');
+}
+
+/**
+ * @private
+ *
+ * @param {*} id
+ * @return {String}
+ */
+function idString(id) {
+  return id && id.toHexString ? id.toHexString() : String(id);
+}
+
+/**
+ * A document did not validate against the schema of its model.
+ *
+ * @name ValidationError
+ * @constructor
+ * @augments Error
+ * @param {String} collection collection name
+ * @param {Object[]} errors errors reported by the validator
+ *
+ * @property {String} code always VALIDATION
+ * @property {String} collection
+ * @property {Object[]} errors errors reported by the validator
+ * @property {Object} paths messages by dotted path, the document itself is the empty path
+ */
+function ValidationError(collection, errors) {
+  var paths = {};
+  var details = [];
+  var i, path;
+
+  for (i = 0; i < errors.length; i++) {
+    path = toPath(errors[i].property);
+    if (paths[path] === undefined) {
+      paths[path] = [];
+    }
+    paths[path].push(errors[i].message);
+    details.push(path === '' ? errors[i].message : path + ' ' + errors[i].message);
+  }
+
+  init(this, ValidationError, 'ValidationError', 'VALIDATION',
+    collection + ' validation failed: ' + details.join(', '));
+  this.collection = collection;
+  this.errors = errors;
+  this.paths = paths;
+}
+
+util.inherits(ValidationError, Error);
+
+/**
+ * A document looked up by id does not exist.
+ *
+ * @name NotFoundError
+ * @constructor
+ * @augments Error
+ * @param {String} collection collection name
+ * @param {*} id document id
+ *
+ * @property {String} code always NOT_FOUND
+ * @property {String} collection
+ * @property {*} id
+ */
+function NotFoundError(collection, id) {
+  init(this, NotFoundError, 'NotFoundError', 'NOT_FOUND', collection + ' ' + idString(id) + ' not found');
+  this.collection = collection;
+  this.id = id;
+}
+
+util.inherits(NotFoundError, Error);
+
+/**
+ * A value used as document id is missing or is not an ObjectId.
+ *
+ * @name InvalidIdError
+ * @constructor
+ * @augments Error
+ * @param {*} id the invalid value
+ *
+ * @property {String} code always INVALID_ID
+ * @property {*} id
+ */
+function InvalidIdError(id) {
+  init(this, InvalidIdError, 'InvalidIdError', 'INVALID_ID', id === undefined ? 'undefined id' : 'invalid object id');
+  this.id = id;
+}
+
+util.inherits(InvalidIdError, Error);
+
+/**
+ * The database could not be reached: there is no connection, the connect failed or timed out or the connection was
+ * closed while the request was pending.
+ *
+ * @name ConnectionError
+ * @constructor
+ * @augments Error
+ * @param {String} message
+ * @param {*} [cause] error reported by the driver
+ *
+ * @property {String} code always CONNECTION
+ * @property {*} cause
+ */
+function ConnectionError(message, cause) {
+  init(this, ConnectionError, 'ConnectionError', 'CONNECTION', message);
+  this.cause = cause;
+}
+
+util.inherits(ConnectionError, Error);
+
+/**
+ * A versioned write did not match the version stored in the database, the document was changed by another write since
+ * it was loaded.
+ *
+ * @name ConflictError
+ * @constructor
+ * @augments Error
+ * @param {String} collection collection name
+ * @param {*} id document id
+ * @param {Number} version version the write expected
+ *
+ * @property {String} code always CONFLICT
+ * @property {String} collection
+ * @property {*} id
+ * @property {Number} version
+ */
+function ConflictError(collection, id, version) {
+  init(this, ConflictError, 'ConflictError', 'CONFLICT',
+    collection + ' ' + idString(id) + ' was modified by another write, expected version ' + version);
+  this.collection = collection;
+  this.id = id;
+  this.version = version;
+}
+
+util.inherits(ConflictError, Error);
+
+/**
+ * A function was called with an argument it cannot use, such as an invalid pagination cursor or an unknown sequence.
+ *
+ * @name ArgumentError
+ * @constructor
+ * @augments Error
+ * @param {String} message
+ *
+ * @property {String} code always INVALID_ARGUMENT
+ */
+function ArgumentError(message) {
+  init(this, ArgumentError, 'ArgumentError', 'INVALID_ARGUMENT', message);
+}
+
+util.inherits(ArgumentError, Error);
+
+/**
+ * An operation does not apply to the current state of its object: the cursor is already closed or the model to
+ * reload was never stored.
+ *
+ * @name StateError
+ * @constructor
+ * @augments Error
+ * @param {String} message
+ *
+ * @property {String} code always INVALID_STATE
+ */
+function StateError(message) {
+  init(this, StateError, 'StateError', 'INVALID_STATE', message);
+}
+
+util.inherits(StateError, Error);
+
+module.exports = {
+  ValidationError: ValidationError,
+  NotFoundError: NotFoundError,
+  InvalidIdError: InvalidIdError,
+  ConnectionError: ConnectionError,
+  ConflictError: ConflictError,
+  ArgumentError: ArgumentError,
+  StateError: StateError
+};
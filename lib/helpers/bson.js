@@ -0,0 +1,235 @@
+'use strict';
+
+var BSONPure = require('mongodb').BSONPure;
+var makeSuffix = require('jsonschema/lib/helpers').makeSuffix;
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * BSON types by bsonType name, the names MongoDB uses in $jsonSchema. The driver has no Decimal128 class, decimals
+ * created by other BSON libraries are recognized by their _bsontype.
+ *
+ * @type {Object}
+ */
+var TYPES = {
+  objectId: {
+    name: 'ObjectId',
+    test: function (value) {
+      return value instanceof BSONPure.ObjectID;
+    }
+  },
+  date: {
+    name: 'Date',
+    test: function (value) {
+      return value instanceof Date;
+    }
+  },
+  binData: {
+    name: 'Binary',
+    test: function (value) {
+      return value instanceof BSONPure.Binary || Buffer.isBuffer(value);
+    }
+  },
+  decimal: {
+    name: 'Decimal128',
+    test: function (value) {
+      return value !== null && typeof value === 'object' && value._bsontype === 'Decimal128';
+    }
+  },
+  long: {
+    name: 'Long',
+    test: function (value) {
+      return value instanceof BSONPure.Long;
+    }
+  },
+  timestamp: {
+    name: 'Timestamp',
+    test: function (value) {
+      return value instanceof BSONPure.Timestamp;
+    }
+  }
+};
+
+/**
+ * @private
+ * Checks the bsonType keywords a draft-03 schema applies to a value, following the same $ref, extends, properties,
+ * patternProperties, additionalProperties and items as jsonschema.
+ *
+ * @param {Function} lookup function (id) returning the registered schema
+ * @param {*} instance
+ * @param {Object|String} schemaDef
+ * @param {Object} root document that #/ references point into
+ * @param {String} path
+ * @param {Object[]} errors
+ */
+function walk(lookup, instance, schemaDef, root, path, errors) {
+  var seen = 0;
+  var ref, list, key, pattern, i;
+
+  while (schemaDef !== undefined && schemaDef !== null && (typeof schemaDef === 'string' ||
+      typeof schemaDef.$ref === 'string')) {
+    ref = typeof schemaDef === 'string' ? schemaDef : schemaDef.$ref;
+    if (lookup(ref) !== undefined) {
+      schemaDef = root = lookup(ref);
+    } else if (ref.substring(0, 2) === '#/') {
+      schemaDef = ref.substring(2).split('/').reduce(function (target, token) {
+        return target !== undefined && target !== null ? target[token] : undefined;
+      }, root);
+    } else {
+      // jsonschema reports the missing schema
+      return;
+    }
+    // circular references
+    if (++seen > 32) {
+      return;
+    }
+  }
+
+  if (schemaDef === undefined || schemaDef === null || typeof schemaDef !== 'object' || instance === undefined) {
+    return;
+  }
+
+  if (schemaDef['extends'] !== undefined) {
+    [].concat(schemaDef['extends']).forEach(function (base) {
+      walk(lookup, instance, base, root, path, errors);
+    });
+  }
+
+  if (schemaDef.bsonType !== undefined) {
+    var message = Bson.check(instance, schemaDef.bsonType);
+    if (message !== undefined) {
+      errors.push({validator: 'bsonType', property: path, message: message, schema: schemaDef.id || schemaDef});
+    }
+  }
+
+  if (instance instanceof Array) {
+    for (i = 0; i < instance.length; i++) {
+      list = schemaDef.items instanceof Array ? schemaDef.items[i] || schemaDef.additionalItems : schemaDef.items;
+      walk(lookup, instance[i], list, root, path + makeSuffix(i), errors);
+    }
+    return;
+  }
+
+  if (instance === null || typeof instance !== 'object' || instance instanceof Date ||
+      instance._bsontype !== undefined || Buffer.isBuffer(instance)) {
+    return;
+  }
+
+  var properties = schemaDef.properties || {};
+  var patterns = schemaDef.patternProperties || {};
+  var declared;
+
+  for (key in instance) {
+    if (instance.hasOwnProperty(key)) {
+      declared = properties.hasOwnProperty(key);
+      if (declared) {
+        walk(lookup, instance[key], properties[key], root, path + makeSuffix(key), errors);
+      }
+      for (pattern in patterns) {
+        if (patterns.hasOwnProperty(pattern) && new RegExp(pattern).test(key)) {
+          declared = true;
+          walk(lookup, instance[key], patterns[pattern], root, path + makeSuffix(key), errors);
+        }
+      }
+      if (!declared && typeof schemaDef.additionalProperties === 'object') {
+        walk(lookup, instance[key], schemaDef.additionalProperties, root, path + makeSuffix(key), errors);
+      }
+    }
+  }
+}
+
+/**
+ * BSON schema types. Schemas declare them with the bsonType keyword or reference the registered MongoDb#ObjectId,
+ * MongoDb#Date, MongoDb#Binary, MongoDb#Decimal128, MongoDb#Long and MongoDb#Timestamp schemas.
+ */
+var Bson = {
+
+  /**
+   * Checks the bsonType keyword of a schema, undefined values are left to the required checks.
+   *
+   * @param {*} value
+   * @param {String|String[]} bsonType
+   * @return {String|undefined} error message or undefined if the value is one of the types
+   */
+  check: function (value, bsonType) {
+    if (value === undefined) {
+      return undefined;
+    }
+
+    var list = bsonType instanceof Array ? bsonType : [bsonType];
+    var names = [];
+    var i;
+
+    for (i = 0; i < list.length; i++) {
+      if (!TYPES.hasOwnProperty(list[i])) {
+        return 'unknown bsonType ' + list[i];
+      }
+      if (TYPES[list[i]].test(value)) {
+        return undefined;
+      }
+      names.push(TYPES[list[i]].name);
+    }
+
+    return 'is not ' + names.join(' or ');
+  },
+
+  /**
+   * Checks the bsonType keywords of a draft-03 schema, jsonschema skips the keyword. Later drafts check it in ajv.
+   *
+   * @param {Function} lookup function (id) returning the registered schema
+   * @param {*} instance
+   * @param {Object|String} schemaDef
+   * @return {Object[]} errors, same format as jsonschema
+   */
+  validate: function (lookup, instance, schemaDef) {
+    var errors = [];
+    var root = typeof schemaDef === 'string' ? lookup(schemaDef) : schemaDef;
+
+    walk(lookup, instance, schemaDef, root, 'instance', errors);
+    return errors;
+  },
+
+  /**
+   * The schemas registered at startup, one per BSON type.
+   *
+   * @return {Object[]}
+   */
+  schemas: function () {
+    return Object.keys(TYPES).map(function (bsonType) {
+      return {
+        id: 'MongoDb#' + TYPES[bsonType].name,
+        description: 'MongoDB ' + TYPES[bsonType].name,
+        bsonType: bsonType
+      };
+    });
+  },
+
+  /**
+   * Name of the BSON type of a schema, declared with bsonType or a reference to one of the registered schemas. For
+   * tools that describe schemas.
+   *
+   * @param {Object} schemaDef
+   * @return {String|undefined} ObjectId, Date, Binary, Decimal128, Long, Timestamp or undefined for other schemas
+   */
+  describe: function (schemaDef) {
+    if (schemaDef === null || typeof schemaDef !== 'object') {
+      return undefined;
+    }
+
+    if (typeof schemaDef.bsonType === 'string' && TYPES.hasOwnProperty(schemaDef.bsonType)) {
+      return TYPES[schemaDef.bsonType].name;
+    }
+
+    var bsonType;
+    for (bsonType in TYPES) {
+      if (TYPES.hasOwnProperty(bsonType) && schemaDef.$ref === 'MongoDb#' + TYPES[bsonType].name) {
+        return TYPES[bsonType].name;
+      }
+    }
+    return undefined;
+  }
+};
+
+module.exports = Bson;
@@ -0,0 +1,369 @@
+'use strict';
+
+var ObjectID = require('mongodb').BSONPure.ObjectID;
+
+var timestamps = require('./timestamps');
+var versioning = require('./versioning');
+var defaults = require('./defaults');
+var softDelete = require('./softdelete');
+var sequence = require('./sequence');
+var ArgumentError = require('../errors').ArgumentError;
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * Maximum number of documents sent to the driver in one insert.
+ *
+ * @type {Number}
+ */
+var BATCH_SIZE = 1000;
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * @type {String[]}
+ */
+var OPERATIONS = ['insertOne', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'];
+
+/**
+ * @private
+ *
+ * @param {*} value
+ * @return {Boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Array);
+}
+
+/**
+ * @private
+ * Checks an operation and prepares its document the same way the single document functions do: defaults, timestamps
+ * and version, then validates it against the schema.
+ *
+ * @param {ODM} odm
+ * @param {Object} config
+ * @param {Object} operation
+ * @return {Object} prepared operation {type, args} or {errors} if the operation is not valid
+ */
+function prepare(odm, config, operation) {
+  var type = isObject(operation) ? Object.keys(operation)[0] : undefined;
+
+  if (OPERATIONS.indexOf(type) === -1 || !isObject(operation[type])) {
+    return {errors: ['unknown bulk operation: ' + type]};
+  }
+
+  var args = operation[type];
+  var document;
+
+  switch (type) {
+    case 'insertOne':
+      document = args.document;
+      if (!isObject(document)) {
+        return {errors: ['insertOne requires a document']};
+      }
+      if (config.schema !== null) {
+        defaults.apply(odm, config.schema, document);
+      }
+      timestamps.insert(config.timestamps, document);
+      versioning.insert(config.versionKey, document);
+      break;
+    case 'replaceOne':
+      document = args.replacement;
+      if (!isObject(document)) {
+        return {errors: ['replaceOne requires a replacement']};
+      }
+      if (config.schema !== null) {
+        defaults.apply(odm, config.schema, document);
+      }
+      timestamps.update(config.timestamps, document, args.upsert);
+      break;
+    case 'updateOne':
+    case 'updateMany':
+      if (!isObject(args.update)) {
+        return {errors: [type + ' requires an update']};
+      }
+      // operator updates are partial and cannot be validated against the schema
+      timestamps.update(config.timestamps, args.update, args.upsert);
+      versioning.increment(config.versionKey, args.update);
+      break;
+  }
+
+  if (document !== undefined && config.schema !== null) {
+    // inserted documents get their sequence values once they are valid
+    var errors = sequence.pending(type === 'insertOne' ? config.sequences : null, document,
+      odm.validate(document, config.schema));
+    if (errors instanceof Array && errors.length > 0) {
+      return {errors: errors};
+    }
+  }
+
+  return {type: type, args: args};
+}
+
+/**
+ * @private
+ * Runs one update or delete operation.
+ *
+ * @param {ODM} odm
+ * @param {String} mongoCollection
+ * @param {Object} config
+ * @param {Object} operation prepared operation
+ * @param {Function} callback Callback function (error, count, full)
+ */
+function run(odm, mongoCollection, config, operation, callback) {
+  var args = operation.args;
+  var filter = args.filter || {};
+  var date;
+
+  switch (operation.type) {
+    case 'updateOne':
+    case 'updateMany':
+      // like the model updates, soft deleted documents are only changed with the withDeleted option
+      return odm.update(mongoCollection, softDelete.scope(config.softDelete, filter, args), args.update,
+        {upsert: args.upsert === true, multi: operation.type === 'updateMany'}, callback);
+    case 'replaceOne':
+      return odm.update(mongoCollection, softDelete.scope(config.softDelete, filter, args), args.replacement,
+        {upsert: args.upsert === true}, callback);
+    default:
+      if (config.softDelete !== null) {
+        date = {$set: {}};
+        date.$set[config.softDelete] = new Date();
+        return odm.update(mongoCollection, softDelete.scope(config.softDelete, filter, {}), date,
+          {multi: operation.type === 'deleteMany'}, callback);
+      }
+      return odm.remove(mongoCollection, filter, {single: operation.type === 'deleteOne'}, callback);
+  }
+}
+
+/**
+ * @private
+ * Inserts a batch of documents with a single driver call. When the insert fails the stored ids tell which documents
+ * made it, the others get the error of the batch (the driver only reports one error per call).
+ *
+ * @param {ODM} odm
+ * @param {String} mongoCollection
+ * @param {Object[]} batch list of {index, document}
+ * @param {Boolean} ordered
+ * @param {Object} result
+ * @param {Function} callback Callback function (stop) stop is true if an ordered write failed
+ */
+function insertBatch(odm, mongoCollection, batch, ordered, result, callback) {
+  var documents = [];
+  var ids = [];
+  var i;
+
+  for (i = 0; i < batch.length; i++) {
+    if (batch[i].document._id === undefined) {
+      batch[i].document._id = new ObjectID();
+    }
+    documents.push(batch[i].document);
+    ids.push(batch[i].document._id);
+  }
+
+  odm.insert(mongoCollection, documents, {keepGoing: !ordered}, function (err) {
+    if (!err) {
+      for (i = 0; i < batch.length; i++) {
+        result.insertedIds[batch[i].index] = ids[i];
+      }
+      result.insertedCount += batch.length;
+      return callback(false);
+    }
+
+    return odm.find(mongoCollection, {_id: {$in: ids}}, {_id: 1}, {}, function (findErr, stored) {
+      var found = {};
+      var stop = false;
+      var j;
+
+      if (!findErr) {
+        for (j = 0; j < stored.length; j++) {
+          found[String(stored[j]._id)] = true;
+        }
+      }
+
+      for (i = 0; i < batch.length && !stop; i++) {
+        if (found[String(ids[i])] === true) {
+          result.insertedIds[batch[i].index] = ids[i];
+          result.insertedCount++;
+        } else {
+          result.writeErrors.push({index: batch[i].index, error: err});
+          // an ordered insert stops at the first failed document
+          stop = ordered;
+        }
+      }
+
+      return callback(stop || ordered);
+    });
+  });
+}
+
+/**
+ * @private
+ * Prepares and runs the operations of a bulk write.
+ *
+ * @param {ODM} odm
+ * @param {String} mongoCollection
+ * @param {Object} config
+ * @param {Object[]} operations
+ * @param {Object} options
+ * @param {Function} callback Callback function (error, result)
+ */
+function execute(odm, mongoCollection, config, operations, options, callback) {
+  var ordered = options.ordered !== false;
+  var prepared = [];
+  var result = {
+    ok: true,
+    insertedCount: 0,
+    updatedCount: 0,
+    upsertedCount: 0,
+    deletedCount: 0,
+    insertedIds: {},
+    upsertedIds: {},
+    validationErrors: [],
+    writeErrors: []
+  };
+  var end = operations.length;
+  var documents = [];
+  var i;
+
+  for (i = 0; i < operations.length; i++) {
+    prepared[i] = prepare(odm, config, operations[i]);
+    if (prepared[i].errors !== undefined) {
+      result.validationErrors.push({index: i, errors: prepared[i].errors});
+      if (ordered && end === operations.length) {
+        end = i;
+      }
+    }
+  }
+
+  for (i = 0; i < end; i++) {
+    if (prepared[i].type === 'insertOne') {
+      documents.push(prepared[i].args.document);
+    }
+  }
+
+  var done = function () {
+    result.ok = result.validationErrors.length === 0 && result.writeErrors.length === 0;
+    return callback(null, result);
+  };
+
+  // only called again from the driver callbacks, the invalid operations are skipped in a loop so that many of them
+  // in a row do not grow the stack
+  var next = function (index) {
+    while (index < end && prepared[index].errors !== undefined) {
+      index++;
+    }
+
+    if (index >= end) {
+      return done();
+    }
+
+    var operation = prepared[index];
+
+    if (operation.type === 'insertOne') {
+      var batch = [];
+      while (index < end && batch.length < BATCH_SIZE &&
+          (prepared[index].type === 'insertOne' || prepared[index].errors !== undefined)) {
+        if (prepared[index].errors === undefined) {
+          batch.push({index: index, document: prepared[index].args.document});
+        }
+        index++;
+      }
+
+      return insertBatch(odm, mongoCollection, batch, ordered, result, function (stop) {
+        return stop ? done() : next(index);
+      });
+    }
+
+    return run(odm, mongoCollection, config, operation, function (err, count, full) {
+      if (err) {
+        result.writeErrors.push({index: index, error: err});
+        return ordered ? done() : next(index + 1);
+      }
+
+      if (operation.type.indexOf('delete') === 0) {
+        result.deletedCount += count;
+      } else if (full && full.upserted !== undefined && full.upserted !== null) {
+        result.upsertedCount++;
+        result.upsertedIds[index] = full.upserted;
+      } else {
+        result.updatedCount += count;
+      }
+
+      return next(index + 1);
+    });
+  };
+
+  // only the documents that will be written get sequence values, the ones the driver rejects leave a gap
+  return sequence.assign(odm, config.sequences, documents, function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    return next(0);
+  });
+}
+
+/**
+ * Bulk writes for models, the driver has no bulk API so consecutive inserts are batched and the other operations run
+ * one after the other.
+ */
+var Bulk = {
+
+  /**
+   * Runs a list of write operations, each one an object with one of insertOne: {document},
+   * updateOne/updateMany: {filter, update, upsert}, replaceOne: {filter, replacement, upsert} or
+   * deleteOne/deleteMany: {filter}. All documents are prepared and validated before anything is written, only the
+   * valid inserts get sequence values.
+   *
+   * Ordered writes (default) stop at the first operation that failed validation or at the driver, unordered writes
+   * skip the invalid operations and continue after driver errors. The result reports the counts, the ids of the
+   * inserted and upserted documents and the indexes that failed in validationErrors [{index, errors}] and
+   * writeErrors [{index, error}].
+   *
+   * @param {ODM} odm
+   * @param {String} mongoCollection
+   * @param {Object} config {timestamps, versionKey, softDelete, sequences, schema} of the model, schema is null for
+   *                        plain models
+   * @param {Object[]} operations
+   * @param {Object} options
+   * @param {Boolean} [options.ordered] defaults to true
+   * @param {Function} callback Callback function (error, result)
+   */
+  write: function (odm, mongoCollection, config, operations, options, callback) {
+    if (!(operations instanceof Array)) {
+      return callback(new ArgumentError('bulk write requires an array of operations'));
+    }
+
+    return execute(odm, mongoCollection, config, operations, options, callback);
+  },
+
+  /**
+   * Inserts many documents, see write.
+   *
+   * @param {ODM} odm
+   * @param {String} mongoCollection
+   * @param {Object} config
+   * @param {Object[]} documents
+   * @param {Object} options
+   * @param {Function} callback Callback function (error, result)
+   */
+  insertMany: function (odm, mongoCollection, config, documents, options, callback) {
+    if (!(documents instanceof Array)) {
+      return callback(new ArgumentError('insertMany requires an array of documents'));
+    }
+
+    var operations = [];
+    var i;
+    for (i = 0; i < documents.length; i++) {
+      operations.push({insertOne: {document: documents[i]}});
+    }
+
+    return Bulk.write(odm, mongoCollection, config, operations, options, callback);
+  }
+};
+
+module.exports = Bulk;
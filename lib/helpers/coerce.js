@@ -0,0 +1,217 @@
+'use strict';
+
+var ObjectID = require('mongodb').BSONPure.ObjectID;
+var makeSuffix = require('jsonschema/lib/helpers').makeSuffix;
+
+var defaults = require('./defaults');
+var clone = require('./dirty').clone;
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * Conversions of strings to the types a schema asks for, each one returns undefined when the string does not convert.
+ *
+ * @type {Object}
+ */
+var CONVERSIONS = {
+  integer: function (value) {
+    return /^\s*[+\-]?\d+\s*$/.test(value) ? parseInt(value, 10) : undefined;
+  },
+  number: function (value) {
+    var number = Number(value);
+    return value.trim() !== '' && isFinite(number) ? number : undefined;
+  },
+  'boolean': function (value) {
+    if (value === 'true' || value === '1') {
+      return true;
+    }
+    if (value === 'false' || value === '0') {
+      return false;
+    }
+    return undefined;
+  },
+  'null': function (value) {
+    return value === '' || value === 'null' ? null : undefined;
+  },
+  // ISO 8601 dates and date times only, Date.parse accepts far too much
+  date: function (value) {
+    if (!/^\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+\-]\d{2}:?\d{2})?)?$/.test(value)) {
+      return undefined;
+    }
+    var date = new Date(value.replace(' ', 'T'));
+    return isNaN(date.getTime()) ? undefined : date;
+  },
+  objectId: function (value) {
+    return /^[0-9a-fA-F]{24}$/.test(value) ? ObjectID.createFromHexString(value) : undefined;
+  }
+};
+
+/**
+ * @private
+ *
+ * @param {*} value
+ * @return {Boolean} true for objects and arrays whose values can be coerced
+ */
+function isEmbedded(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && value._bsontype === undefined &&
+    !Buffer.isBuffer(value);
+}
+
+/**
+ * @private
+ *
+ * @param {Object} schemaDef resolved schema
+ * @return {String[]} conversion names of the schema in order of preference, empty if strings are allowed
+ */
+function targets(schemaDef) {
+  var list = [];
+  var types = schemaDef.type instanceof Array ? schemaDef.type : schemaDef.type !== undefined ? [schemaDef.type] : [];
+  var bsonTypes = schemaDef.bsonType instanceof Array ? schemaDef.bsonType :
+    schemaDef.bsonType !== undefined ? [schemaDef.bsonType] : [];
+
+  if (types.indexOf('string') !== -1 || types.indexOf('any') !== -1) {
+    return [];
+  }
+
+  types.concat(bsonTypes).forEach(function (type) {
+    if (typeof type === 'string' && CONVERSIONS.hasOwnProperty(type) && list.indexOf(type) === -1) {
+      list.push(type);
+    }
+  });
+
+  return list;
+}
+
+/**
+ * @private
+ * Coerces the value at key of the parent and recurses into embedded documents and arrays.
+ *
+ * @param {ODM} odm
+ * @param {Object|String} schemaDef
+ * @param {Object|Array} parent
+ * @param {String|Number} key
+ * @param {Object} scope {root} see Defaults.resolve
+ * @param {String} path
+ * @param {Object[]} failures
+ */
+function coerce(odm, schemaDef, parent, key, scope, path, failures) {
+  var schema = defaults.resolve(odm, schemaDef, scope);
+  var value = parent[key];
+  var i, list, converted;
+
+  if (schema === undefined || value === undefined) {
+    return;
+  }
+
+  if (typeof value === 'string') {
+    list = targets(schema);
+    for (i = 0; i < list.length; i++) {
+      converted = CONVERSIONS[list[i]](value);
+      if (converted !== undefined) {
+        parent[key] = converted;
+        return;
+      }
+    }
+
+    if (list.length > 0) {
+      failures.push({
+        validator: 'coerce',
+        property: path,
+        message: 'cannot convert ' + JSON.stringify(value) + ' to ' + list.join(' or '),
+        schema: schemaDef
+      });
+    }
+    return;
+  }
+
+  if (!isEmbedded(value)) {
+    return;
+  }
+
+  if (value instanceof Array) {
+    for (i = 0; i < value.length; i++) {
+      list = schema.items instanceof Array ? schema.items[i] :
+        schema.prefixItems instanceof Array && i < schema.prefixItems.length ? schema.prefixItems[i] : schema.items;
+      if (list !== undefined && list !== null && typeof list !== 'boolean') {
+        coerce(odm, list, value, i, {root: scope.root}, path + makeSuffix(i), failures);
+      }
+    }
+    return;
+  }
+
+  var properties = schema.properties;
+  if (properties === undefined || properties === null) {
+    return;
+  }
+
+  for (key in properties) {
+    if (properties.hasOwnProperty(key) && value.hasOwnProperty(key)) {
+      coerce(odm, properties[key], value, key, {root: scope.root}, path + makeSuffix(key), failures);
+    }
+  }
+}
+
+/**
+ * Opt-in type coercion of schema models. Strings, as sent by HTTP forms and query strings, are converted to the
+ * numbers, booleans, nulls, Dates and ObjectIds the schema asks for, following $ref schemas, embedded documents and
+ * arrays.
+ */
+var Coerce = {
+
+  /**
+   * Converts the string values of a document in place.
+   *
+   * @param {ODM} odm
+   * @param {Object|String} schemaDef
+   * @param {Object} document
+   * @return {Object[]} the values that could not be converted, in the format of the validation errors with the coerce
+   *                    validator
+   */
+  apply: function (odm, schemaDef, document) {
+    var failures = [];
+    var holder = {instance: document};
+
+    coerce(odm, schemaDef, holder, 'instance', {root: schemaDef}, 'instance', failures);
+    return failures;
+  },
+
+  /**
+   * Adds the coercion failures to validation errors, the type errors of the values that did not convert are left
+   * out since the failure already explains them.
+   *
+   * @param {Object[]} failures
+   * @param {Object[]} errors validation errors
+   * @return {Object[]}
+   */
+  merge: function (failures, errors) {
+    if (failures.length === 0) {
+      return errors;
+    }
+
+    var paths = failures.map(function (failure) {
+      return failure.property;
+    });
+
+    return failures.concat(errors.filter(function (error) {
+      return !((error.validator === 'type' || error.validator === 'bsonType') && paths.indexOf(error.property) !== -1);
+    }));
+  },
+
+  /**
+   * Validates a document as it is after coercion, the conversions are made on a copy and the document is not changed.
+   *
+   * @param {ODM} odm
+   * @param {Object|String} schemaDef
+   * @param {Object} document
+   * @return {Object[]} the coercion failures and the validation errors, see merge
+   */
+  validate: function (odm, schemaDef, document) {
+    var copy = clone(document);
+
+    return Coerce.merge(Coerce.apply(odm, schemaDef, copy), odm.validate(copy, schemaDef));
+  }
+};
+
+module.exports = Coerce;
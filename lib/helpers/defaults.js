@@ -0,0 +1,193 @@
+'use strict';
+
+var mongodb = require('mongodb');
+var ObjectID = mongodb.BSONPure.ObjectID;
+var clone = require('./dirty').clone;
+var drafts = require('./drafts');
+
+/**
+ * @private
+ * named generators usable as defaultFn
+ */
+var generators = {
+  now: function () {
+    return new Date();
+  },
+  objectId: function () {
+    return new ObjectID();
+  }
+};
+
+/**
+ * @private
+ * Follows string and $ref schemas to the schema definition. JSON pointer references (#/$defs/address) point into the
+ * root of the scope, the root changes when a reference leads into another registered schema.
+ *
+ * @param {ODM} odm
+ * @param {Object|String} schemaDef
+ * @param {Object} [scope] {root}
+ * @return {Object|undefined}
+ */
+function resolve(odm, schemaDef, scope) {
+  var seen = 0;
+  var target;
+  while (schemaDef !== undefined && schemaDef !== null) {
+    if (typeof schemaDef === 'string' || typeof schemaDef.$ref === 'string') {
+      target = drafts.ref(odm.getSchema, typeof schemaDef === 'string' ? schemaDef : schemaDef.$ref,
+        scope !== undefined ? scope.root : undefined);
+      if (target === undefined) {
+        return undefined;
+      }
+      schemaDef = target.schema;
+      if (scope !== undefined) {
+        scope.root = target.root;
+      }
+    } else {
+      return schemaDef;
+    }
+    // circular references
+    if (++seen > 32) {
+      return undefined;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * @private
+ *
+ * @param {Object} propertyDef
+ * @param {String} name property name, for error messages
+ * @return {*} the default value of the property or undefined if it has none
+ */
+function defaultValue(propertyDef, name) {
+  if (propertyDef.defaultFn !== undefined) {
+    var fn = propertyDef.defaultFn;
+    if (typeof fn === 'string') {
+      if (!generators.hasOwnProperty(fn)) {
+        throw new Error('Unknown defaultFn "' + fn + '" for ' + name);
+      }
+      fn = generators[fn];
+    }
+    return fn();
+  }
+
+  // defaults are copied so documents do not share objects and arrays
+  return clone(propertyDef['default']);
+}
+
+/**
+ * @private
+ *
+ * @param {*} value
+ * @return {Boolean}
+ */
+function isEmbedded(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && value._bsontype === undefined;
+}
+
+/**
+ * @private
+ *
+ * @param {ODM} odm
+ * @param {Object|String} schemaDef
+ * @param {*} value
+ * @param {Object} scope {root} see resolve
+ */
+function apply(odm, schemaDef, value, scope) {
+  schemaDef = resolve(odm, schemaDef, scope);
+
+  if (schemaDef === undefined || !isEmbedded(value)) {
+    return;
+  }
+
+  var i;
+
+  if (value instanceof Array) {
+    if (schemaDef.items !== undefined && !(schemaDef.items instanceof Array)) {
+      for (i = 0; i < value.length; i++) {
+        apply(odm, schemaDef.items, value[i], {root: scope.root});
+      }
+    }
+    return;
+  }
+
+  var properties = schemaDef.properties;
+
+  if (properties === undefined || properties === null) {
+    return;
+  }
+
+  var keys = Object.keys(properties);
+  var propertyDef, child;
+
+  for (i = 0; i < keys.length; i++) {
+    child = {root: scope.root};
+    propertyDef = resolve(odm, properties[keys[i]], child);
+    if (propertyDef === undefined) {
+      continue;
+    }
+
+    if (value[keys[i]] === undefined) {
+      value[keys[i]] = defaultValue(propertyDef, keys[i]);
+      if (value[keys[i]] === undefined) {
+        delete value[keys[i]];
+        continue;
+      }
+    }
+
+    // embedded documents get their own defaults
+    apply(odm, propertyDef, value[keys[i]], child);
+  }
+}
+
+/**
+ * Schema default values. Besides the JSON Schema default keyword, properties can declare a defaultFn, either a
+ * function or the name of a registered generator (now, objectId), that is called for every document.
+ */
+var Defaults = {
+
+  /**
+   * Registers a named generator to be used as defaultFn.
+   *
+   * @param {String} name
+   * @param {Function} fn generator, called without arguments
+   */
+  register: function (name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('defaultFn ' + name + ' must be a function');
+    }
+    generators[name] = fn;
+  },
+
+  /**
+   * Follows string and $ref schemas to the schema they point to.
+   *
+   * @function
+   * @param {ODM} odm
+   * @param {Object|String} schemaDef
+   * @param {Object} [scope] {root} document that # references point into, updated when a reference leads into
+   *                         another registered schema
+   * @return {Object|undefined}
+   */
+  resolve: resolve,
+
+  /**
+   * Sets the default value of all missing properties of the document (or array of documents), recursing into the
+   * embedded documents and $ref schemas.
+   *
+   * @param {ODM} odm
+   * @param {Object|String} schemaDef
+   * @param {Object|Object[]} documents
+   */
+  apply: function (odm, schemaDef, documents) {
+    var list = documents instanceof Array ? documents : [documents];
+    var i;
+
+    for (i = 0; i < list.length; i++) {
+      apply(odm, schemaDef, list[i], {root: schemaDef});
+    }
+  }
+};
+
+module.exports = Defaults;
@@ -0,0 +1,346 @@
+'use strict';
+
+var timestamps = require('./timestamps');
+var versioning = require('./versioning');
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * name of the hidden property holding the state of a document as it was loaded
+ * @type {String}
+ */
+var ORIGINAL = '$original';
+
+/**
+ * @private
+ *
+ * @param {*} value
+ * @return {Boolean} true for objects that are compared and diffed field by field
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Array) && !(value instanceof Date) &&
+    !(value instanceof RegExp) && !Buffer.isBuffer(value) && value._bsontype === undefined;
+}
+
+/**
+ * @private
+ * Deep copy of a document value, BSON types other than Binary are immutable and are kept by reference.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+function clone(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (Buffer.isBuffer(value)) {
+    if (typeof Buffer.from === 'function') {
+      return Buffer.from(value);
+    }
+    var copy = new Buffer(value.length);
+    value.copy(copy);
+    return copy;
+  }
+
+  if (value._bsontype === 'Binary') {
+    return new value.constructor(clone(value.value(true)), value.sub_type);
+  }
+
+  if (value instanceof RegExp || value._bsontype !== undefined) {
+    return value;
+  }
+
+  var result, i, keys;
+
+  if (value instanceof Array) {
+    result = [];
+    for (i = 0; i < value.length; i++) {
+      result[i] = clone(value[i]);
+    }
+    return result;
+  }
+
+  result = {};
+  keys = Object.keys(value);
+  for (i = 0; i < keys.length; i++) {
+    result[keys[i]] = clone(value[keys[i]]);
+  }
+  return result;
+}
+
+/**
+ * @private
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {Boolean} true if both values would be stored the same way
+ */
+function equal(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+
+  if (a instanceof RegExp || b instanceof RegExp) {
+    return a instanceof RegExp && b instanceof RegExp && a.toString() === b.toString();
+  }
+
+  if (Buffer.isBuffer(a) || Buffer.isBuffer(b)) {
+    return Buffer.isBuffer(a) && Buffer.isBuffer(b) && a.toString('base64') === b.toString('base64');
+  }
+
+  if (a._bsontype !== undefined || b._bsontype !== undefined) {
+    if (a._bsontype !== b._bsontype) {
+      return false;
+    }
+    if (typeof a.equals === 'function') {
+      return a.equals(b);
+    }
+    if (a._bsontype === 'Binary') {
+      return a.sub_type === b.sub_type && equal(a.value(true), b.value(true));
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  var i;
+
+  if (a instanceof Array || b instanceof Array) {
+    if (!(a instanceof Array && b instanceof Array) || a.length !== b.length) {
+      return false;
+    }
+    for (i = 0; i < a.length; i++) {
+      if (!equal(a[i], b[i])) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  var keysA = Object.keys(a);
+  var keysB = Object.keys(b);
+
+  if (keysA.length !== keysB.length) {
+    return false;
+  }
+
+  for (i = 0; i < keysA.length; i++) {
+    if (!b.hasOwnProperty(keysA[i]) || !equal(a[keysA[i]], b[keysA[i]])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * @private
+ * Collects the $set and $unset statements that turn the original object into the current one. Nested objects are
+ * diffed recursively into dotted paths, arrays and other values are set as a whole.
+ *
+ * @param {Object} original
+ * @param {Object} current
+ * @param {String} prefix
+ * @param {Object} delta {$set: Object, $unset: Object}
+ */
+function diff(original, current, prefix, delta) {
+  var keys = Object.keys(current);
+  var i, key, path;
+
+  for (i = 0; i < keys.length; i++) {
+    key = keys[i];
+    path = prefix + key;
+
+    if (current[key] === undefined) {
+      continue;
+    }
+
+    if (!original.hasOwnProperty(key) || original[key] === undefined) {
+      delta.$set[path] = current[key];
+    } else if (isPlainObject(original[key]) && isPlainObject(current[key])) {
+      diff(original[key], current[key], path + '.', delta);
+    } else if (!equal(original[key], current[key])) {
+      delta.$set[path] = current[key];
+    }
+  }
+
+  keys = Object.keys(original);
+  for (i = 0; i < keys.length; i++) {
+    key = keys[i];
+    if (original[key] !== undefined && (!current.hasOwnProperty(key) || current[key] === undefined)) {
+      delta.$unset[prefix + key] = '';
+    }
+  }
+}
+
+/**
+ * Change tracking of loaded documents. A copy of the document is kept in a hidden property when it is loaded or
+ * written, the difference to that copy is what save and update send to the database.
+ */
+var Dirty = {
+
+  /**
+   * Deep copy of a document value.
+   *
+   * @function
+   * @param {*} value
+   * @return {*}
+   */
+  clone: clone,
+
+  /**
+   * Records the current state of the document as unmodified.
+   *
+   * @param {Object} document
+   * @return {Object} the document
+   */
+  track: function (document) {
+    if (document !== null && typeof document === 'object') {
+      // not enumerable so it is neither persisted nor serialized
+      Object.defineProperty(document, ORIGINAL, {value: clone(document), writable: true, configurable: true});
+    }
+    return document;
+  },
+
+  /**
+   * Wraps the callback of a write of the whole document so the document is unmodified once the write succeeds.
+   *
+   * @param {Object} document
+   * @param {Function} callback
+   * @return {Function}
+   */
+  trackAfter: function (document, callback) {
+    return function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      Dirty.track(document);
+      return callback.apply(null, arguments);
+    };
+  },
+
+  /**
+   * @param {Object} document
+   * @return {Boolean} true if the document state is being tracked
+   */
+  isTracked: function (document) {
+    return document !== null && typeof document === 'object' && document.hasOwnProperty(ORIGINAL);
+  },
+
+  /**
+   * Lists the modified paths of a document, nested changes are reported as dotted paths. Documents that are not
+   * tracked report all their fields.
+   *
+   * @param {Object} document
+   * @return {String[]}
+   */
+  modifiedPaths: function (document) {
+    var delta = {$set: {}, $unset: {}};
+    diff(Dirty.isTracked(document) ? document[ORIGINAL] : {}, document, '', delta);
+    return Object.keys(delta.$set).concat(Object.keys(delta.$unset));
+  },
+
+  /**
+   * @param {Object} document
+   * @param {String} [path] dotted path, if omitted any change counts
+   * @return {Boolean} true if the path, one of its children or one of its parents was modified
+   */
+  isModified: function (document, path) {
+    var paths = Dirty.modifiedPaths(document);
+
+    if (path === undefined) {
+      return paths.length > 0;
+    }
+
+    var i;
+    for (i = 0; i < paths.length; i++) {
+      if (paths[i] === path || paths[i].indexOf(path + '.') === 0 || path.indexOf(paths[i] + '.') === 0) {
+        return true;
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Builds the update statement with the changes of a tracked document.
+   *
+   * @param {Object} document
+   * @param {String[]} [exclude] top level fields that are never part of the update
+   * @return {Object|null} {$set: Object, $unset: Object} with only the non empty operators, null if nothing changed
+   */
+  delta: function (document, exclude) {
+    var delta = {$set: {}, $unset: {}};
+    diff(document[ORIGINAL], document, '', delta);
+
+    var i, j, keys;
+    var ignore = ['_id'].concat(exclude || []);
+
+    keys = Object.keys(delta.$set).concat(Object.keys(delta.$unset));
+    for (i = 0; i < keys.length; i++) {
+      for (j = 0; j < ignore.length; j++) {
+        if (keys[i] === ignore[j] || keys[i].indexOf(ignore[j] + '.') === 0) {
+          delete delta.$set[keys[i]];
+          delete delta.$unset[keys[i]];
+        }
+      }
+    }
+
+    if (Object.keys(delta.$set).length === 0) {
+      delete delta.$set;
+    }
+    if (Object.keys(delta.$unset).length === 0) {
+      delete delta.$unset;
+    }
+
+    return Object.keys(delta).length > 0 ? delta : null;
+  },
+
+  /**
+   * Writes only the changes of a tracked document, maintaining the timestamps and the version of the document. When
+   * nothing changed no write is done and the callback gets 0 updated documents.
+   *
+   * @param {ODM} odm
+   * @param {String} mongoCollection
+   * @param {Object} document tracked document
+   * @param {Object} config {timestamps: Object|null, versionKey: String|null}
+   * @param {Object} options options for the update
+   * @param {Function} callback Callback function (error, updated)
+   */
+  update: function (odm, mongoCollection, document, config, options, callback) {
+    var delta = Dirty.delta(document, config.versionKey !== null ? [config.versionKey] : []);
+
+    if (delta === null) {
+      return callback(null, 0);
+    }
+
+    timestamps.update(config.timestamps, delta, false, document);
+
+    var criteria = {_id: document._id};
+    var done = Dirty.trackAfter(document, callback);
+
+    if (versioning.isVersioned(config.versionKey, document)) {
+      var version = document[config.versionKey];
+      criteria = versioning.criteria(config.versionKey, document);
+      versioning.increment(config.versionKey, delta);
+      document[config.versionKey] = version + 1;
+      done = versioning.guard(config.versionKey, document, version, mongoCollection, done);
+    }
+
+    return odm.update(mongoCollection, criteria, delta, options, done);
+  }
+};
+
+module.exports = Dirty;
@@ -0,0 +1,508 @@
+'use strict';
+
+var Ajv = require('ajv');
+var Ajv2020 = require('ajv/dist/2020');
+var addFormats = require('ajv-formats');
+var makeSuffix = require('jsonschema/lib/helpers').makeSuffix;
+
+var bson = require('./bson');
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * $schema uri of every supported draft, draft-03 is validated by jsonschema and the later drafts by ajv.
+ *
+ * @type {Object}
+ */
+var DRAFTS = {
+  'draft-03': 'http://json-schema.org/draft-03/schema#',
+  'draft-07': 'http://json-schema.org/draft-07/schema#',
+  '2020-12': 'https://json-schema.org/draft/2020-12/schema'
+};
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * ajv class of the drafts it validates.
+ *
+ * @type {Object}
+ */
+var VALIDATORS = {
+  'draft-07': Ajv,
+  '2020-12': Ajv2020
+};
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * prefix of the keys the registered schemas get in ajv, ODM ids such as MongoDb#ObjectId are not valid URIs
+ *
+ * @type {String}
+ */
+var KEY_PREFIX = 'odm:';
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * keywords whose value is an object of schemas by name
+ *
+ * @type {String[]}
+ */
+var SCHEMA_MAPS = ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas', 'dependencies'];
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * keywords whose value is a schema or a list of schemas
+ *
+ * @type {String[]}
+ */
+var SCHEMAS = ['items', 'prefixItems', 'additionalItems', 'allOf', 'anyOf', 'oneOf', 'not', 'if', 'then', 'else',
+  'contains', 'propertyNames', 'additionalProperties', 'unevaluatedItems', 'unevaluatedProperties', 'contentSchema'];
+
+/**
+ * @private
+ * ajv instances by draft, created on first use: {ajv, registered, compiled}
+ */
+var contexts = {};
+
+/**
+ * @private
+ * Follows a JSON pointer (/$defs/address) inside a schema.
+ *
+ * @param {Object} schemaDef
+ * @param {String} pointer
+ * @return {Object|undefined}
+ */
+function walk(schemaDef, pointer) {
+  var tokens = pointer.split('/');
+  var i;
+
+  // the first token is the empty string before the leading slash
+  for (i = 1; i < tokens.length && schemaDef !== undefined && schemaDef !== null; i++) {
+    schemaDef = schemaDef[decodeURIComponent(tokens[i]).replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+
+  return schemaDef === null ? undefined : schemaDef;
+}
+
+/**
+ * @private
+ *
+ * @param {*} value
+ * @param {String} type JSON type or the ODM date type
+ * @return {Boolean}
+ */
+function isType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    case 'integer':
+      return typeof value === 'number' && isFinite(value) && value % 1 === 0;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    case 'array':
+      return value instanceof Array;
+    case 'object':
+      return value !== null && typeof value === 'object' && !(value instanceof Array) && !(value instanceof Date);
+    case 'date':
+      return value instanceof Date;
+  }
+  return false;
+}
+
+/**
+ * @private
+ * Creates the ajv instance of a draft with the formats and the ODM keywords. Unknown keywords, like the defaultFn,
+ * sequence and hidden extensions, are ignored.
+ *
+ * @param {String} draft draft-07 or 2020-12
+ * @return {Object} {ajv, registered, compiled}
+ */
+function create(draft) {
+  var ajv = new VALIDATORS[draft]({strict: false, allErrors: true, validateSchema: false, verbose: true});
+
+  addFormats(ajv);
+
+  ajv.addKeyword({
+    keyword: 'bsonType',
+    errors: true,
+    validate: function bsonType(schema, data, parentSchema) {
+      var message = bson.check(data, schema);
+      bsonType.errors = message === undefined ? null :
+        [{keyword: 'bsonType', message: message, params: {bsonType: schema}, parentSchema: parentSchema}];
+      return message === undefined;
+    }
+  });
+
+  // the type keyword of schemas with the ODM date type
+  ajv.addKeyword({
+    keyword: 'odmType',
+    errors: true,
+    validate: function odmType(schema, data, parentSchema) {
+      var valid = schema.some(function (type) {
+        return isType(data, type);
+      });
+      odmType.errors = valid ? null :
+        [{keyword: 'type', message: 'is not ' + schema.join(' or '), params: {}, parentSchema: parentSchema}];
+      return valid;
+    }
+  });
+
+  return {ajv: ajv, registered: {}, compiled: {}};
+}
+
+/**
+ * @private
+ * Finds the registered schema a $ref points to, by its whole id or by the id before a # fragment.
+ *
+ * @param {Function} lookup function (id) returning the registered schema
+ * @param {String} ref
+ * @return {Object|undefined} {id, fragment}
+ */
+function registered(lookup, ref) {
+  if (lookup(ref) !== undefined) {
+    return {id: ref, fragment: ''};
+  }
+
+  var hash = ref.lastIndexOf('#');
+  if (hash > 0 && lookup(ref.substring(0, hash)) !== undefined) {
+    return {id: ref.substring(0, hash), fragment: ref.substring(hash)};
+  }
+  return undefined;
+}
+
+/**
+ * @private
+ * Copies a schema into the form ajv accepts: references to registered schemas use their ajv keys, the date type
+ * becomes the odmType keyword and the draft-03/04 id, boolean required and boolean exclusive limits are translated.
+ * The registered schemas it references are collected, prepared as well.
+ *
+ * @param {Function} lookup function (id) returning the registered schema
+ * @param {*} schemaDef
+ * @param {Object} references prepared registered schemas by ajv key, {schema, json}
+ * @return {*} the copy
+ */
+function prepare(lookup, schemaDef, references) {
+  if (schemaDef === null || typeof schemaDef !== 'object') {
+    return schemaDef;
+  }
+
+  if (schemaDef instanceof Array) {
+    return schemaDef.map(function (item) {
+      return prepare(lookup, item, references);
+    });
+  }
+
+  var copy = {};
+
+  Object.keys(schemaDef).forEach(function (keyword) {
+    var value = schemaDef[keyword];
+    var target, key, types;
+
+    if ((keyword === 'id' && typeof value === 'string') || keyword === '$schema' ||
+        (keyword === 'required' && typeof value === 'boolean')) {
+      return;
+    }
+
+    if (keyword === '$ref' && typeof value === 'string') {
+      target = registered(lookup, value);
+      if (target === undefined) {
+        copy.$ref = value;
+        return;
+      }
+
+      key = KEY_PREFIX + encodeURIComponent(target.id);
+      copy.$ref = key + target.fragment;
+      if (!references.hasOwnProperty(key)) {
+        references[key] = {};
+        references[key].schema = prepare(lookup, lookup(target.id), references);
+        delete references[key].schema.$id;
+        references[key].json = JSON.stringify(references[key].schema);
+      }
+      return;
+    }
+
+    if (keyword === 'type') {
+      types = value instanceof Array ? value : [value];
+      if (types.indexOf('date') === -1) {
+        copy.type = value;
+      } else {
+        copy.odmType = types;
+      }
+      return;
+    }
+
+    if (SCHEMA_MAPS.indexOf(keyword) !== -1 && value !== null && typeof value === 'object') {
+      copy[keyword] = {};
+      Object.keys(value).forEach(function (name) {
+        // draft-07 dependencies also list property names
+        copy[keyword][name] = value[name] instanceof Array ? value[name] : prepare(lookup, value[name], references);
+      });
+      return;
+    }
+
+    copy[keyword] = SCHEMAS.indexOf(keyword) !== -1 ? prepare(lookup, value, references) : value;
+  });
+
+  // draft-04 exclusive limits are booleans next to minimum and maximum
+  ['Minimum', 'Maximum'].forEach(function (limit) {
+    if (typeof copy['exclusive' + limit] === 'boolean') {
+      if (copy['exclusive' + limit] && copy[limit.toLowerCase()] !== undefined) {
+        copy['exclusive' + limit] = copy[limit.toLowerCase()];
+        delete copy[limit.toLowerCase()];
+      } else {
+        delete copy['exclusive' + limit];
+      }
+    }
+  });
+
+  return copy;
+}
+
+/**
+ * @private
+ * Compiles, or takes from the cache, the ajv function of a schema. The registered schemas it references are added
+ * to ajv, when one of them changed since it was added the ajv instance of the draft is created again.
+ *
+ * @param {Function} lookup function (id) returning the registered schema
+ * @param {Object|String} schemaDef
+ * @param {String} draft draft-07 or 2020-12
+ * @return {Function} ajv validate function
+ */
+function compile(lookup, schemaDef, draft) {
+  var references = {};
+  var root = prepare(lookup, typeof schemaDef === 'string' ? {$ref: schemaDef} : schemaDef, references);
+  var context = contexts[draft];
+
+  delete root.$id;
+
+  var stale = context === undefined || Object.keys(references).some(function (key) {
+    return context.registered.hasOwnProperty(key) && context.registered[key] !== references[key].json;
+  });
+  if (stale) {
+    context = contexts[draft] = create(draft);
+  }
+
+  Object.keys(references).forEach(function (key) {
+    if (!context.registered.hasOwnProperty(key)) {
+      context.ajv.addSchema(references[key].schema, key);
+      context.registered[key] = references[key].json;
+    }
+  });
+
+  var json = JSON.stringify(root);
+  if (!context.compiled.hasOwnProperty(json)) {
+    context.compiled[json] = context.ajv.compile(root);
+  }
+  return context.compiled[json];
+}
+
+/**
+ * @private
+ * Copies the own properties of a document, ajv also visits the inherited enumerable properties such as the methods of
+ * the model prototypes. Dates, buffers and BSON values are kept as they are.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+function plain(value) {
+  if (value === null || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value) ||
+      value._bsontype !== undefined) {
+    return value;
+  }
+
+  if (value instanceof Array) {
+    return value.map(plain);
+  }
+
+  var copy = {};
+  Object.keys(value).forEach(function (key) {
+    copy[key] = plain(value[key]);
+  });
+  return copy;
+}
+
+/**
+ * @private
+ *
+ * @param {Object|Boolean} schema
+ * @param {String} keyword
+ * @param {String} path
+ * @param {String} message
+ * @return {Object} error in the same format jsonschema reports
+ */
+function error(schema, keyword, path, message) {
+  return {validator: keyword, property: path, message: message, schema: schema};
+}
+
+/**
+ * @private
+ * Converts an ajv error to the jsonschema format, missing and additional properties are reported at their own path.
+ *
+ * @param {Object} ajvError
+ * @return {Object}
+ */
+function convert(ajvError) {
+  var path = 'instance' + ajvError.instancePath.split('/').slice(1).map(function (token) {
+    return makeSuffix(token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }).join('');
+  var params = ajvError.params;
+  var extra = params.additionalProperty !== undefined ? params.additionalProperty : params.unevaluatedProperty;
+
+  if (params.missingProperty !== undefined) {
+    return error(ajvError.parentSchema, ajvError.keyword, path + makeSuffix(params.missingProperty), 'is required');
+  }
+  if (extra !== undefined) {
+    return error(ajvError.parentSchema, ajvError.keyword, path + makeSuffix(extra), 'is not allowed');
+  }
+  if (ajvError.keyword === 'type' && params.type !== undefined) {
+    return error(ajvError.parentSchema, 'type', path, 'is not ' + params.type.split(',').join(' or '));
+  }
+  return error(ajvError.parentSchema, ajvError.keyword, path, ajvError.message);
+}
+
+/**
+ * JSON Schema drafts. Schemas without $schema are draft-03 and validated by jsonschema, draft-04 to draft-07 schemas
+ * are validated by ajv with the draft-07 rules and 2019-09 and 2020-12 schemas with the 2020-12 rules. The ODM keeps
+ * the draft-03 date type and adds the bsonType keyword in all drafts.
+ */
+var Drafts = {
+
+  /**
+   * Names of the supported drafts.
+   *
+   * @type {String[]}
+   */
+  names: Object.keys(DRAFTS),
+
+  /**
+   * Finds the draft of a schema from its $schema keyword.
+   *
+   * @param {Object} [schemaDef]
+   * @return {String} draft-03, draft-07 or 2020-12
+   */
+  detect: function (schemaDef) {
+    var uri = schemaDef !== undefined && schemaDef !== null ? schemaDef.$schema : undefined;
+
+    if (typeof uri === 'string') {
+      if (/\/draft-0[4-7]\//.test(uri)) {
+        return 'draft-07';
+      }
+      if (/\/draft\/20(19-09|20-12)\//.test(uri)) {
+        return '2020-12';
+      }
+    }
+
+    return 'draft-03';
+  },
+
+  /**
+   * Declares the draft of a schema, the draft option of the schema models. The given schema is not modified.
+   *
+   * @param {Object} schemaDef
+   * @param {String} [draft] draft-03, draft-07 or 2020-12, undefined keeps the $schema of the schema
+   * @return {Object} the schema, a copy with the $schema of the draft if one is given
+   */
+  use: function (schemaDef, draft) {
+    if (draft === undefined || draft === null) {
+      return schemaDef;
+    }
+
+    if (!DRAFTS.hasOwnProperty(draft)) {
+      throw new Error('Unknown JSON Schema draft "' + draft + '", supported are ' + Drafts.names.join(', '));
+    }
+
+    if (schemaDef === null || typeof schemaDef !== 'object') {
+      return schemaDef;
+    }
+
+    var copy = {};
+    var key;
+    for (key in schemaDef) {
+      if (schemaDef.hasOwnProperty(key)) {
+        copy[key] = schemaDef[key];
+      }
+    }
+    copy.$schema = DRAFTS[draft];
+    return copy;
+  },
+
+  /**
+   * Follows a schema reference: a registered schema id, a JSON pointer into the current document (#/$defs/address)
+   * or into a registered schema (person#/$defs/address).
+   *
+   * @param {Function} lookup function (id) returning the registered schema
+   * @param {String} ref
+   * @param {Object} [root] document that # references point into
+   * @return {Object|undefined} {schema, root} where root is the document of the schema
+   */
+  ref: function (lookup, ref, root) {
+    var found = lookup(ref);
+
+    if (found !== undefined) {
+      return {schema: found, root: found};
+    }
+
+    var hash = ref.lastIndexOf('#');
+    if (hash === -1) {
+      return undefined;
+    }
+
+    var base = ref.substring(0, hash);
+    var fragment = ref.substring(hash + 1);
+    var document = base === '' ? root : lookup(base);
+
+    if (document === undefined || document === null) {
+      return undefined;
+    }
+
+    if (fragment === '') {
+      return {schema: document, root: document};
+    }
+
+    found = fragment.charAt(0) === '/' ? walk(document, fragment) : undefined;
+    return found === undefined ? undefined : {schema: found, root: document};
+  },
+
+  /**
+   * Validates an instance against a draft-07 or 2020-12 schema.
+   *
+   * @param {Function} lookup function (id) returning the registered schema
+   * @param {*} instance
+   * @param {Object|String} schemaDef
+   * @param {String} draft draft-07 or 2020-12
+   * @return {Object[]} errors, same format as jsonschema
+   */
+  validate: function (lookup, instance, schemaDef, draft) {
+    var fn;
+
+    try {
+      fn = compile(lookup, schemaDef, draft);
+    } catch (e) {
+      if (e.missingRef !== undefined) {
+        return [error(schemaDef, '$ref', 'instance', 'no such schema ' + (e.missingRef.indexOf(KEY_PREFIX) === 0 ?
+          decodeURIComponent(e.missingRef.substring(KEY_PREFIX.length)) : e.missingRef))];
+      }
+      return [error(schemaDef, 'schema', 'instance', e.message)];
+    }
+
+    return fn(plain(instance)) ? [] : fn.errors.map(convert);
+  }
+};
+
+module.exports = Drafts;
@@ -0,0 +1,307 @@
+'use strict';
+
+var mongodb = require('mongodb');
+var ObjectID = mongodb.BSONPure.ObjectID;
+var Binary = mongodb.BSONPure.Binary;
+var Long = mongodb.BSONPure.Long;
+
+var isoDateRegExp = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+\-]\d{2}:\d{2})$/;
+
+// int32 limits, canonical mode uses $numberInt for these
+var INT32_MIN = -2147483648;
+var INT32_MAX = 2147483647;
+
+// relaxed dates are only allowed between 1970 and 9999
+var MAX_RELAXED_DATE = 253402300799999;
+
+/**
+ * @private
+ *
+ * @param {String} base64
+ * @return {Buffer}
+ */
+function fromBase64(base64) {
+  if (typeof Buffer.from === 'function') {
+    return Buffer.from(base64, 'base64');
+  }
+  return new Buffer(base64, 'base64');
+}
+
+/**
+ * @private
+ *
+ * @param {Number} value
+ * @return {String}
+ */
+function doubleToString(value) {
+  if (value === 0 && 1 / value < 0) {
+    return '-0.0';
+  }
+  if (isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return 'Infinity';
+  }
+  if (value === -Infinity) {
+    return '-Infinity';
+  }
+  if (value % 1 === 0 && Math.abs(value) < 1e21) {
+    return value.toFixed(1);
+  }
+  return String(value);
+}
+
+/**
+ * @private
+ * JavaScript RegExp flags from MongoDB regular expression options, unsupported options (x, l) are dropped.
+ *
+ * @param {String} options
+ * @return {String}
+ */
+function regExpFlags(options) {
+  var flags = '';
+  var i;
+  for (i = 0; i < options.length; i++) {
+    if ('imsu'.indexOf(options[i]) !== -1 && flags.indexOf(options[i]) === -1) {
+      flags += options[i];
+    }
+  }
+  return flags;
+}
+
+/**
+ * @private
+ * MongoDB regular expression options from a RegExp, sorted alphabetically as the spec mandates.
+ *
+ * @param {RegExp} regexp
+ * @return {String}
+ */
+function regExpOptions(regexp) {
+  var options = '';
+  if (regexp.ignoreCase) {
+    options += 'i';
+  }
+  if (regexp.multiline) {
+    options += 'm';
+  }
+  if (regexp.dotAll) {
+    options += 's';
+  }
+  if (regexp.unicode) {
+    options += 'u';
+  }
+  return options;
+}
+
+/**
+ * @private
+ * Converts a single value to its Extended JSON representation, returns undefined if the value is not a special type.
+ *
+ * @param {*} value
+ * @param {Boolean} relaxed
+ * @return {*}
+ */
+function serializeValue(value, relaxed) {
+  if (typeof value === 'number') {
+    if (relaxed) {
+      if (isFinite(value)) {
+        return value;
+      }
+      return {$numberDouble: doubleToString(value)};
+    }
+    if (value % 1 === 0 && value >= INT32_MIN && value <= INT32_MAX && !(value === 0 && 1 / value < 0)) {
+      return {$numberInt: String(value)};
+    }
+    return {$numberDouble: doubleToString(value)};
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return undefined;
+  }
+
+  if (value instanceof Date) {
+    var time = value.getTime();
+    if (relaxed && time >= 0 && time <= MAX_RELAXED_DATE) {
+      return {$date: value.toISOString()};
+    }
+    return {$date: {$numberLong: String(time)}};
+  }
+
+  if (value instanceof RegExp) {
+    return {$regularExpression: {pattern: value.source, options: regExpOptions(value)}};
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return {$binary: {base64: value.toString('base64'), subType: '00'}};
+  }
+
+  switch (value._bsontype) {
+  case 'ObjectID':
+  case 'ObjectId':
+    return {$oid: value.toHexString()};
+  case 'Binary':
+    var subType = value.sub_type.toString(16);
+    return {
+      $binary: {base64: value.value(true).toString('base64'), subType: subType.length === 1 ? '0' + subType : subType}
+    };
+  case 'Long':
+    // longs are kept in both modes so they survive the round trip
+    return {$numberLong: value.toString()};
+  case 'Double':
+    return serializeValue(value.valueOf(), relaxed) || {$numberDouble: doubleToString(value.valueOf())};
+  }
+
+  return undefined;
+}
+
+/**
+ * @private
+ * Converts a parsed Extended JSON wrapper object back to the native type, returns undefined if the object is a
+ * plain object.
+ *
+ * @param {Object} value
+ * @return {*}
+ */
+function deserializeValue(value) {
+  var keys = Object.keys(value);
+
+  if (keys.length === 1) {
+    switch (keys[0]) {
+    case '$oid':
+      return ObjectID.createFromHexString(value.$oid);
+    case '$numberInt':
+      return parseInt(value.$numberInt, 10);
+    case '$numberDouble':
+      return parseFloat(value.$numberDouble);
+    case '$numberLong':
+      return Long.fromString(value.$numberLong);
+    case '$date':
+      var date = value.$date;
+      if (date instanceof Long) {
+        return new Date(date.toNumber());
+      }
+      return new Date(date);
+    case '$binary':
+      if (value.$binary !== null && typeof value.$binary === 'object') {
+        return new Binary(fromBase64(value.$binary.base64), parseInt(value.$binary.subType, 16));
+      }
+      break;
+    case '$regularExpression':
+      return new RegExp(value.$regularExpression.pattern, regExpFlags(value.$regularExpression.options));
+    }
+  }
+
+  if (keys.length === 2) {
+    // legacy (v1) Extended JSON
+    if (value.hasOwnProperty('$binary') && value.hasOwnProperty('$type')) {
+      return new Binary(fromBase64(value.$binary), parseInt(value.$type, 16));
+    }
+    if (value.hasOwnProperty('$regex') && value.hasOwnProperty('$options') && typeof value.$regex === 'string') {
+      return new RegExp(value.$regex, regExpFlags(value.$options));
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * @private
+ * Walks an already parsed JSON value replacing Extended JSON wrappers (and optionally ISO date strings) by native
+ * types.
+ *
+ * @param {*} value
+ * @param {Boolean} isoDates
+ * @return {*}
+ */
+function revive(value, isoDates) {
+  if (typeof value === 'string') {
+    if (isoDates && isoDateRegExp.test(value)) {
+      return new Date(value);
+    }
+    return value;
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  var i;
+
+  if (value instanceof Array) {
+    for (i = 0; i < value.length; i++) {
+      value[i] = revive(value[i], isoDates);
+    }
+    return value;
+  }
+
+  // already native
+  if (value instanceof Date || value instanceof RegExp || value._bsontype !== undefined) {
+    return value;
+  }
+
+  var keys = Object.keys(value);
+  for (i = 0; i < keys.length; i++) {
+    value[keys[i]] = revive(value[keys[i]], isoDates);
+  }
+
+  var native = deserializeValue(value);
+  return native !== undefined ? native : value;
+}
+
+/**
+ * MongoDB Extended JSON helpers
+ * @see https://github.com/mongodb/specifications/blob/master/source/extended-json.rst
+ */
+var EJSON = {
+
+  /**
+   * Parses a JSON string (or an already parsed JSON value) converting the Extended JSON types, canonical, relaxed and
+   * legacy formats, to ObjectId, Date, Binary, RegExp, Long and Number. ISO date strings are also converted to Date.
+   *
+   * @param {String|Object} json
+   * @param {Object} [options]
+   * @param {Boolean} [options.isoDates] convert ISO 8601 date time strings to Date, defaults to true
+   * @return {*}
+   */
+  parse: function (json, options) {
+    var isoDates = !(options && options.isoDates === false);
+
+    if (typeof json === 'string') {
+      json = JSON.parse(json);
+    }
+
+    return revive(json, isoDates);
+  },
+
+  /**
+   * Serializes a value to a Extended JSON string. In relaxed mode (default) numbers and dates are kept human readable,
+   * in canonical mode all type information is preserved. Longs are always written as $numberLong.
+   *
+   * @param {*} value
+   * @param {Object} [options]
+   * @param {Boolean} [options.relaxed] defaults to true
+   * @param {String|Number} [options.space] indentation, same as JSON.stringify
+   * @return {String}
+   */
+  stringify: function (value, options) {
+    var relaxed = !(options && options.relaxed === false);
+    var space = options ? options.space : undefined;
+
+    return JSON.stringify(value, function (key, jsonValue) {
+      // use the original value, toJSON has already been called on jsonValue
+      var original = this[key];
+
+      // model instances keep their BSON values, the toJSON of models turns ObjectIds into strings
+      if (original !== null && typeof original === 'object' && original._bsontype === undefined &&
+          typeof original.toObject === 'function') {
+        return original.toObject();
+      }
+
+      var serialized = serializeValue(original, relaxed);
+      return serialized !== undefined ? serialized : jsonValue;
+    }, space);
+  }
+};
+
+module.exports = EJSON;
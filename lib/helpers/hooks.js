@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Registry of pre/post middleware functions.
+ *
+ * A hook is called with the document as `this` and a `next(error)` function. Hooks can also be async by returning a
+ * Promise or by not declaring the next argument and returning (or throwing) synchronously. Passing an error to next,
+ * rejecting or throwing aborts the chain.
+ *
+ * @name Hooks
+ * @constructor
+ *
+ * @property {Object} pre
+ * @property {Object} post
+ */
+function Hooks() {
+  this.pre = {};
+  this.post = {};
+}
+
+/**
+ * @memberOf Hooks.prototype
+ *
+ * @param {String} kind either pre or post
+ * @param {String} name operation name (validate, save, insert, update, remove)
+ * @param {Function} fn hook function
+ */
+Hooks.prototype.add = function (kind, name, fn) {
+  if (kind !== 'pre' && kind !== 'post') {
+    throw new Error('Unknown hook kind: ' + kind);
+  }
+
+  if (typeof fn !== 'function') {
+    throw new Error('Hook for ' + kind + '(' + name + ') must be a function');
+  }
+
+  if (!this[kind].hasOwnProperty(name)) {
+    this[kind][name] = [];
+  }
+
+  this[kind][name].push(fn);
+};
+
+/**
+ * @memberOf Hooks.prototype
+ *
+ * @param {String} kind either pre or post
+ * @param {String} name operation name
+ * @return {Boolean}
+ */
+Hooks.prototype.has = function (kind, name) {
+  return this[kind].hasOwnProperty(name) && this[kind][name].length > 0;
+};
+
+/**
+ * Runs all hooks registered for the operation in series.
+ *
+ * @memberOf Hooks.prototype
+ *
+ * @param {String} kind either pre or post
+ * @param {String} name operation name
+ * @param {Object} context the document the hooks run on
+ * @param {Function} callback Callback function (error)
+ */
+Hooks.prototype.run = function (kind, name, context, callback) {
+  var hooks = this[kind].hasOwnProperty(name) ? this[kind][name].slice() : [];
+  var i = 0;
+
+  var next = function (error) {
+    if (error) {
+      return callback(error);
+    }
+
+    if (i >= hooks.length) {
+      return callback(null);
+    }
+
+    var fn = hooks[i++];
+    var called = false;
+
+    // guard against hooks calling next more than once
+    var done = function (error) {
+      if (called) {
+        return;
+      }
+      called = true;
+      next(error);
+    };
+
+    var result;
+    try {
+      result = fn.call(context, done);
+    } catch (e) {
+      return done(e);
+    }
+
+    if (result !== null && result !== undefined && typeof result.then === 'function') {
+      return result.then(function () {
+        done(null);
+      }, function (error) {
+        done(error || new Error(kind + '(' + name + ') hook rejected'));
+      });
+    }
+
+    // hooks that do not take next are synchronous
+    if (fn.length === 0) {
+      return done(null);
+    }
+  };
+
+  next(null);
+};
+
+module.exports = Hooks;
@@ -0,0 +1,338 @@
+'use strict';
+
+var common = require('../protos/common');
+var ejson = require('./ejson');
+var ArgumentError = require('../errors').ArgumentError;
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * @type {Number}
+ */
+var DEFAULT_LIMIT = 20;
+
+/**
+ * @private
+ * Normalizes a sort specification to a list of [field, direction] pairs that always ends with _id, so the order is
+ * total and every document has a distinct position.
+ *
+ * @param {String|Object|Array} [sort]
+ * @return {Array[]}
+ */
+function sortFields(sort) {
+  var fields = [];
+  var i, keys;
+
+  if (typeof sort === 'string') {
+    sort = common.parseSpec(sort, 1, -1);
+  }
+
+  if (sort instanceof Array) {
+    for (i = 0; i < sort.length; i++) {
+      fields.push(typeof sort[i] === 'string' ? [sort[i], 1] : [sort[i][0], sort[i][1]]);
+    }
+  } else if (sort !== undefined && sort !== null) {
+    keys = Object.keys(sort);
+    for (i = 0; i < keys.length; i++) {
+      fields.push([keys[i], sort[keys[i]]]);
+    }
+  }
+
+  for (i = 0; i < fields.length; i++) {
+    var direction = fields[i][1];
+    fields[i][1] = direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1;
+  }
+
+  for (i = 0; i < fields.length; i++) {
+    if (fields[i][0] === '_id') {
+      return fields;
+    }
+  }
+
+  fields.push(['_id', fields.length > 0 ? fields[fields.length - 1][1] : 1]);
+  return fields;
+}
+
+/**
+ * @private
+ *
+ * @param {Array[]} fields
+ * @param {Boolean} reverse
+ * @return {Object} sort object for the driver
+ */
+function sortObject(fields, reverse) {
+  var sort = {};
+  var i;
+  for (i = 0; i < fields.length; i++) {
+    sort[fields[i][0]] = reverse ? -fields[i][1] : fields[i][1];
+  }
+  return sort;
+}
+
+/**
+ * @private
+ *
+ * @param {Object} document
+ * @param {String} path dotted path
+ * @return {*}
+ */
+function getPath(document, path) {
+  var parts = path.split('.');
+  var i;
+  for (i = 0; i < parts.length && document !== undefined && document !== null; i++) {
+    document = document[parts[i]];
+  }
+  return document === undefined ? null : document;
+}
+
+/**
+ * @private
+ * Opaque cursor with the sort key values of a document, canonical Extended JSON keeps ObjectIds and dates intact.
+ *
+ * @param {Object} document
+ * @param {Array[]} fields
+ * @return {String} url safe base64
+ */
+function encodeCursor(document, fields) {
+  var values = [];
+  var i;
+  for (i = 0; i < fields.length; i++) {
+    values.push(getPath(document, fields[i][0]));
+  }
+
+  var json = ejson.stringify(values, {relaxed: false});
+  var base64 = typeof Buffer.from === 'function' ? Buffer.from(json).toString('base64') :
+      new Buffer(json).toString('base64');
+
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @private
+ *
+ * @param {String} cursor
+ * @param {Array[]} fields
+ * @return {Array|null} the sort key values or null if the cursor is not valid for these sort fields
+ */
+function decodeCursor(cursor, fields) {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+
+  var base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+  var values;
+
+  try {
+    values = ejson.parse((typeof Buffer.from === 'function' ? Buffer.from(base64, 'base64') :
+        new Buffer(base64, 'base64')).toString(), {isoDates: false});
+  } catch (e) {
+    return null;
+  }
+
+  if (!(values instanceof Array) || values.length !== fields.length) {
+    return null;
+  }
+
+  return values;
+}
+
+/**
+ * @private
+ * Criteria matching the documents after (or before) the position of the cursor in the sort order:
+ * a > x OR (a = x AND b > y) OR ...
+ * MongoDB sorts null and missing values before all others, {$gt: null} and {$lt: null} match nothing so a null sort
+ * key is compared explicitly: after null comes every non null value, before x come the lower values and the nulls.
+ *
+ * @param {Array[]} fields
+ * @param {Array} values
+ * @param {Boolean} backwards
+ * @return {Object}
+ */
+function keysetCriteria(fields, values, backwards) {
+  var alternatives = [];
+  var i, j, direction;
+
+  var alternative = function (index, condition) {
+    var result = {};
+    for (j = 0; j < index; j++) {
+      // equal to null also matches the documents without the field
+      result[fields[j][0]] = values[j];
+    }
+    result[fields[index][0]] = condition;
+    return result;
+  };
+
+  for (i = 0; i < fields.length; i++) {
+    direction = backwards ? -fields[i][1] : fields[i][1];
+    if (direction === 1) {
+      alternatives.push(alternative(i, values[i] === null ? {$ne: null} : {$gt: values[i]}));
+    } else if (values[i] !== null) {
+      alternatives.push(alternative(i, {$lt: values[i]}));
+      if (fields[i][0] !== '_id') {
+        alternatives.push(alternative(i, null));
+      }
+    }
+  }
+
+  // _id is never null so there is always at least one alternative
+  return alternatives.length === 1 ? alternatives[0] : {$or: alternatives};
+}
+
+/**
+ * @private
+ *
+ * @param {Object} query
+ * @param {Object} criteria
+ * @return {Object}
+ */
+function and(query, criteria) {
+  if (query === undefined || query === null || Object.keys(query).length === 0) {
+    return criteria;
+  }
+  return {$and: [query, criteria]};
+}
+
+/**
+ * @private
+ * Options for the model find/count without the pagination options.
+ *
+ * @param {Object} options
+ * @return {Object}
+ */
+function findOptions(options) {
+  var result = {};
+  var key;
+  for (key in options) {
+    if (options.hasOwnProperty(key) && ['sort', 'limit', 'after', 'before', 'page', 'perPage'].indexOf(key) === -1) {
+      result[key] = options[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * @private
+ * Classic pagination with skip, also counts all matching documents.
+ *
+ * @param {Model|SchemaModel} model
+ * @param {Object} query
+ * @param {Object} options
+ * @param {Function} callback
+ */
+function paginatePages(model, query, options, callback) {
+  var page = Math.max(parseInt(options.page, 10) || 1, 1);
+  var perPage = Math.max(parseInt(options.perPage || options.limit, 10) || DEFAULT_LIMIT, 1);
+
+  var result = {items: null, total: 0, page: page, perPage: perPage, pages: 0, hasMore: false};
+
+  var done = common.after(2, function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    result.pages = Math.ceil(result.total / perPage);
+    result.hasMore = page * perPage < result.total;
+    return callback(null, result);
+  });
+
+  var countOptions = {};
+  if (options.withDeleted !== undefined) {
+    countOptions.withDeleted = options.withDeleted;
+  }
+
+  model.count(query, countOptions, function (err, total) {
+    if (err) {
+      return done(err);
+    }
+    result.total = total;
+    return done(null);
+  });
+
+  var opts = findOptions(options);
+  opts.sort = sortObject(sortFields(options.sort), false);
+  opts.skip = (page - 1) * perPage;
+  opts.limit = perPage;
+
+  model.find(query || {}, opts, function (err, items) {
+    if (err) {
+      return done(err);
+    }
+    result.items = items;
+    return done(null);
+  });
+}
+
+/**
+ * Paginates the documents of a model matching the query.
+ *
+ * Keyset mode (default) returns {items, nextCursor, prevCursor, hasMore}, the cursors are opaque strings with the sort
+ * key of the first/last item to pass as after/before for the next/previous page, no documents are skipped.
+ * Page mode (when page is set) returns {items, total, page, perPage, pages, hasMore}.
+ *
+ * @param {Model|SchemaModel} model
+ * @param {Object} [query]
+ * @param {Object} [options] sort, limit, after, before or page, perPage, other options are passed to find
+ * @param {Function} callback Callback function (error, result)
+ */
+module.exports = function (model, query, options, callback) {
+  if (typeof query === 'function') {
+    callback = query;
+    query = {};
+    options = {};
+  } else if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (options.page !== undefined) {
+    return paginatePages(model, query, options, callback);
+  }
+
+  var limit = Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1);
+  var fields = sortFields(options.sort);
+  var backwards = options.before !== undefined && options.before !== null;
+  var cursor = backwards ? options.before : options.after;
+  var criteria = query || {};
+
+  if (cursor !== undefined && cursor !== null) {
+    var values = decodeCursor(cursor, fields);
+    if (values === null) {
+      return callback(new ArgumentError('invalid pagination cursor'));
+    }
+    criteria = and(criteria, keysetCriteria(fields, values, backwards));
+  }
+
+  var opts = findOptions(options);
+  // one more than needed tells if there are more documents
+  opts.sort = sortObject(fields, backwards);
+  opts.limit = limit + 1;
+
+  return model.find(criteria, opts, function (err, items) {
+    if (err) {
+      return callback(err);
+    }
+
+    var hasMore = items.length > limit;
+    if (hasMore) {
+      items = items.slice(0, limit);
+    }
+
+    if (backwards) {
+      items.reverse();
+    }
+
+    var first = items.length > 0 ? encodeCursor(items[0], fields) : null;
+    var last = items.length > 0 ? encodeCursor(items[items.length - 1], fields) : null;
+
+    return callback(null, {
+      items: items,
+      nextCursor: backwards ? last : (hasMore ? last : null),
+      prevCursor: backwards ? (hasMore ? first : null) : (cursor !== undefined && cursor !== null ? first : null),
+      hasMore: hasMore
+    });
+  });
+};
@@ -1,12 +1,16 @@
 'use strict';
 
 var util = require('../protos/common');
+var ArgumentError = require('../errors').ArgumentError;
 
 /**
+ * Runs all finders in parallel. A finder is either an object created by one of the Model.prepareXXX functions or a
+ * Promise (for example the result of calling a finder without callback).
+ *
  * @param {Object} query
- * @param callback
+ * @param [callback] if not present a Promise is returned
  */
-module.exports = function (query, callback) {
+module.exports = util.promisify(function (query, callback) {
 
   var resultSet = {};
 
@@ -34,13 +38,16 @@ module.exports = function (query, callback) {
   var i;
   for (i = 0; i < keys.length; i++) {
     var finder = query[keys[i]];
-    if (finder.options === undefined) {
+    if (finder !== null && typeof finder === 'object' && typeof finder.then === 'function') {
+      // promise (or thenable)
+      finder.then(process(keys[i]).bind(null, null), process(keys[i]));
+    } else if (finder.options === undefined) {
       if (finder.fields === undefined) {
         // no options, no fields
         finder.fn(finder.query, process(keys[i]));
       } else {
         // don't know how to handle this
-        done('finder without options but with fields is not supported');
+        done(new ArgumentError('finder without options but with fields is not supported'));
       }
     } else {
       if (finder.fields === undefined) {
@@ -52,4 +59,4 @@ module.exports = function (query, callback) {
       }
     }
   }
-};
\ No newline at end of file
+});
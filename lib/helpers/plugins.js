@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * @private
+ * Global plugins, applied to every model created after they are registered.
+ *
+ * @type {Object[]}
+ */
+var registered = [];
+
+/**
+ * Helpers for the plugins, functions that receive a model class and its options and extend it through the model
+ * functions meant for it (static, method, pre, post and extendSchema).
+ */
+var Plugins = {
+
+  /**
+   * Registers a global plugin.
+   *
+   * @param {Function} fn function (Model, options)
+   * @param {Object} [options] options passed to the plugin
+   */
+  register: function (fn, options) {
+    if (typeof fn !== 'function') {
+      throw new Error('plugin must be a function');
+    }
+
+    registered.push({fn: fn, options: options});
+  },
+
+  /**
+   * Runs a plugin on a model class.
+   *
+   * @param {Function} Model
+   * @param {Function} fn function (Model, options)
+   * @param {Object} [options] options passed to the plugin
+   * @return {Function} the model class
+   */
+  apply: function (Model, fn, options) {
+    if (typeof fn !== 'function') {
+      throw new Error('plugin must be a function');
+    }
+
+    fn(Model, options || {});
+    return Model;
+  },
+
+  /**
+   * Runs the global plugins on a new model class, in registration order.
+   *
+   * @param {Function} Model
+   * @return {Function} the model class
+   */
+  applyGlobal: function (Model) {
+    var i;
+    for (i = 0; i < registered.length; i++) {
+      Plugins.apply(Model, registered[i].fn, registered[i].options);
+    }
+    return Model;
+  },
+
+  /**
+   * Defines one or more functions on a model class or its prototype. Existing functions are not replaced, a plugin
+   * that needs to change a built in function should use hooks instead.
+   *
+   * @param {Object} target model class or prototype
+   * @param {String|Object} name function name or object of name to function
+   * @param {Function} [fn]
+   * @param {String} what description for the error message
+   */
+  define: function (target, name, fn, what) {
+    var key;
+
+    if (name !== null && typeof name === 'object') {
+      for (key in name) {
+        if (name.hasOwnProperty(key)) {
+          Plugins.define(target, key, name[key], what);
+        }
+      }
+      return;
+    }
+
+    if (typeof fn !== 'function') {
+      throw new Error(what + ' ' + name + ' must be a function');
+    }
+
+    if (target[name] !== undefined) {
+      throw new Error(what + ' ' + name + ' is already defined');
+    }
+
+    target[name] = fn;
+  },
+
+  /**
+   * Defines one or more virtual properties on a model prototype. Virtuals are non enumerable accessors, so they are
+   * neither saved nor validated. Assignments to a virtual without setter are ignored.
+   *
+   * @param {Object} target model prototype
+   * @param {String|Object} name property name or object of name to virtual
+   * @param {Function|Object} [virtual] getter or {get, set}
+   */
+  virtual: function (target, name, virtual) {
+    var key;
+
+    if (name !== null && typeof name === 'object') {
+      for (key in name) {
+        if (name.hasOwnProperty(key)) {
+          Plugins.virtual(target, key, name[key]);
+        }
+      }
+      return;
+    }
+
+    if (typeof virtual === 'function') {
+      virtual = {get: virtual};
+    }
+
+    if (virtual === null || typeof virtual !== 'object' ||
+        (typeof virtual.get !== 'function' && typeof virtual.set !== 'function')) {
+      throw new Error('virtual ' + name + ' must be a getter or an object with get and set functions');
+    }
+
+    if (target[name] !== undefined) {
+      throw new Error('virtual ' + name + ' is already defined');
+    }
+
+    Object.defineProperty(target, name, {
+      enumerable: false,
+      configurable: true,
+      get: virtual.get,
+      set: typeof virtual.set === 'function' ? virtual.set : function () {}
+    });
+  },
+
+  /**
+   * Adds the properties of a schema fragment to a schema, properties the schema already declares are kept.
+   *
+   * @param {Object} schemaDef
+   * @param {Object} fragment schema with properties
+   */
+  extendSchema: function (schemaDef, fragment) {
+    if (schemaDef === null || typeof schemaDef !== 'object') {
+      throw new Error('the schema of the model cannot be extended');
+    }
+
+    if (fragment === null || typeof fragment !== 'object' || fragment.properties === undefined) {
+      return;
+    }
+
+    if (schemaDef.properties === undefined) {
+      schemaDef.properties = {};
+    }
+
+    var key;
+    for (key in fragment.properties) {
+      if (fragment.properties.hasOwnProperty(key) && !schemaDef.properties.hasOwnProperty(key)) {
+        schemaDef.properties[key] = fragment.properties[key];
+      }
+    }
+  }
+};
+
+module.exports = Plugins;
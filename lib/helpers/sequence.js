@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * @type {String}
+ */
+var COUNTERS = 'counters';
+
+/**
+ * @private
+ * Normalizes the sequence specification of a field.
+ *
+ * @param {String} mongoCollection
+ * @param {String} field
+ * @param {Boolean|String|Object} spec true, the sequence name or {name, scope, prefix, pad, start, format, collection}
+ * @return {Object}
+ */
+function normalize(mongoCollection, field, spec) {
+  if (spec === true) {
+    spec = {};
+  } else if (typeof spec === 'string') {
+    spec = {name: spec};
+  }
+
+  var scope = spec.scope || [];
+
+  return {
+    field: field,
+    name: spec.name || mongoCollection + '.' + field,
+    scope: typeof scope === 'string' ? [scope] : scope,
+    prefix: spec.prefix || '',
+    pad: spec.pad || 0,
+    start: typeof spec.start === 'number' ? spec.start : 1,
+    format: typeof spec.format === 'function' ? spec.format : null,
+    collection: spec.collection || COUNTERS
+  };
+}
+
+/**
+ * @private
+ *
+ * @param {Object} spec
+ * @param {Object} [scope] document or object with the values of the scope fields
+ * @return {String} id of the counter document
+ */
+function counterId(spec, scope) {
+  var id = spec.name;
+  var i, value;
+
+  for (i = 0; i < spec.scope.length; i++) {
+    value = scope ? scope[spec.scope[i]] : undefined;
+    id += ':' + (value === undefined || value === null ? '' : String(value));
+  }
+
+  return id;
+}
+
+/**
+ * @private
+ *
+ * @param {Object} spec
+ * @param {Number} counter value of the counter, 1 for the first allocated value
+ * @param {Object} [document]
+ * @return {Number|String} the field value
+ */
+function format(spec, counter, document) {
+  var value = spec.start - 1 + counter;
+
+  if (spec.format !== null) {
+    return spec.format(value, document);
+  }
+
+  if (spec.prefix === '' && spec.pad === 0) {
+    return value;
+  }
+
+  var digits = String(value);
+  while (digits.length < spec.pad) {
+    digits = '0' + digits;
+  }
+
+  return spec.prefix + digits;
+}
+
+/**
+ * Helpers for the sequence fields, the next values are allocated atomically from a counters collection with
+ * findAndModify.
+ */
+var Sequence = {
+
+  /**
+   * Collects the sequence fields of a model from the sequences model option and the sequence keyword of the schema
+   * properties.
+   *
+   * @param {String} mongoCollection
+   * @param {Object} [option] sequences model option, field name to sequence specification
+   * @param {Object|String} [schemaDef]
+   * @return {Object|null} field name to normalized specification or null if there are no sequences
+   */
+  config: function (mongoCollection, option, schemaDef) {
+    var sequences = {};
+    var found = false;
+    var key;
+
+    if (schemaDef !== null && typeof schemaDef === 'object' && schemaDef.properties) {
+      for (key in schemaDef.properties) {
+        if (schemaDef.properties.hasOwnProperty(key) && schemaDef.properties[key] !== null &&
+            typeof schemaDef.properties[key] === 'object' && schemaDef.properties[key].sequence) {
+          sequences[key] = normalize(mongoCollection, key, schemaDef.properties[key].sequence);
+          found = true;
+        }
+      }
+    }
+
+    if (option !== undefined && option !== null) {
+      for (key in option) {
+        if (option.hasOwnProperty(key) && option[key]) {
+          sequences[key] = normalize(mongoCollection, key, option[key]);
+          found = true;
+        }
+      }
+    }
+
+    return found ? sequences : null;
+  },
+
+  /**
+   * Allocates the next values of the sequence fields the documents do not have yet. Documents of the same sequence
+   * and scope share one findAndModify that allocates a block of values.
+   *
+   * @param {ODM} odm
+   * @param {Object|null} sequences
+   * @param {Object|Object[]} documents
+   * @param {Function} callback Callback function (error)
+   */
+  assign: function (odm, sequences, documents, callback) {
+    if (sequences === null) {
+      return callback(null);
+    }
+
+    var list = documents instanceof Array ? documents : [documents];
+    var groups = {};
+    var keys = [];
+    var i, field, spec, key;
+
+    for (i = 0; i < list.length; i++) {
+      if (list[i] !== null && typeof list[i] === 'object') {
+        for (field in sequences) {
+          if (sequences.hasOwnProperty(field) && list[i][field] === undefined) {
+            spec = sequences[field];
+            key = spec.collection + '/' + counterId(spec, list[i]);
+            if (groups[key] === undefined) {
+              groups[key] = {spec: spec, id: counterId(spec, list[i]), documents: []};
+              keys.push(key);
+            }
+            groups[key].documents.push(list[i]);
+          }
+        }
+      }
+    }
+
+    var next = function (index) {
+      if (index >= keys.length) {
+        return callback(null);
+      }
+
+      var group = groups[keys[index]];
+      var count = group.documents.length;
+
+      odm.findAndModify(group.spec.collection, {_id: group.id}, {}, {$inc: {seq: count}}, {upsert: true, 'new': true},
+        function (err, counter) {
+          if (err) {
+            return callback(err);
+          }
+
+          var j;
+          for (j = 0; j < count; j++) {
+            group.documents[j][group.spec.field] = format(group.spec, counter.seq - count + 1 + j, group.documents[j]);
+          }
+
+          return next(index + 1);
+        });
+    };
+
+    return next(0);
+  },
+
+  /**
+   * Drops the required errors of the sequence fields a document does not have yet. Documents are validated before
+   * assign so invalid documents do not use up sequence values, the fields get their value after the validation.
+   *
+   * @param {Object|null} sequences
+   * @param {Object} document
+   * @param {Object[]|null} errors validation errors
+   * @return {Object[]|null} the other errors, null if there are none left
+   */
+  pending: function (sequences, document, errors) {
+    if (sequences === null || !(errors instanceof Array)) {
+      return errors;
+    }
+
+    var remaining = errors.filter(function (error) {
+      var field = typeof error.property === 'string' ? error.property.replace(/^instance\./, '') : undefined;
+      return error.validator !== 'required' || !sequences.hasOwnProperty(field) || document[field] !== undefined;
+    });
+
+    return remaining.length > 0 ? remaining : null;
+  },
+
+  /**
+   * Returns the value the next document will get, without allocating it.
+   *
+   * @param {ODM} odm
+   * @param {Object} spec
+   * @param {Object} [scope] values of the scope fields
+   * @param {Function} callback Callback function (error, value)
+   */
+  peek: function (odm, spec, scope, callback) {
+    odm.findOne(spec.collection, {_id: counterId(spec, scope)}, {}, {}, function (err, counter) {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, format(spec, (counter ? counter.seq : 0) + 1, scope));
+    });
+  },
+
+  /**
+   * Restarts a sequence, the next document gets the given value.
+   *
+   * @param {ODM} odm
+   * @param {Object} spec
+   * @param {Object} [scope] values of the scope fields
+   * @param {Number} [value] next value, defaults to the start of the sequence
+   * @param {Function} callback Callback function (error)
+   */
+  reset: function (odm, spec, scope, value, callback) {
+    var seq = (typeof value === 'number' ? value : spec.start) - spec.start;
+
+    odm.update(spec.collection, {_id: counterId(spec, scope)}, {$set: {seq: seq}}, {upsert: true}, function (err) {
+      return callback(err || null);
+    });
+  }
+};
+
+module.exports = Sequence;
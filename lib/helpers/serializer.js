@@ -0,0 +1,203 @@
+'use strict';
+
+var parseSpec = require('../protos/common').parseSpec;
+var defaults = require('./defaults');
+
+/**
+ * @private
+ * Normalizes the fields whitelist.
+ *
+ * @param {String|String[]} [fields] space separated list or array of (dotted) paths
+ * @return {String[]|null}
+ */
+function whitelist(fields) {
+  if (fields === undefined || fields === null) {
+    return null;
+  }
+
+  if (typeof fields === 'string') {
+    var spec = parseSpec(fields, true, false);
+    var paths = [];
+    var key;
+    for (key in spec) {
+      if (spec.hasOwnProperty(key) && spec[key] === true) {
+        paths.push(key);
+      }
+    }
+    return paths;
+  }
+
+  return fields;
+}
+
+/**
+ * @private
+ *
+ * @param {String[]|null} fields
+ * @param {String} path
+ * @return {Boolean} true if the path is a whitelisted path, inside one or on the way to one
+ */
+function allowed(fields, path) {
+  if (fields === null) {
+    return true;
+  }
+
+  var i;
+  for (i = 0; i < fields.length; i++) {
+    if (fields[i] === path || fields[i].indexOf(path + '.') === 0 || path.indexOf(fields[i] + '.') === 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @private
+ *
+ * @param {Object} [propertyDef]
+ * @return {Boolean} true if the property must not be serialized
+ */
+function isHidden(propertyDef) {
+  return propertyDef !== undefined && propertyDef !== null && typeof propertyDef === 'object' &&
+    (propertyDef.hidden === true || propertyDef.writeOnly === true);
+}
+
+/**
+ * @private
+ * Copies a value following its schema, $ref schemas included.
+ *
+ * @param {ODM} odm
+ * @param {*} value
+ * @param {Object|String} [schemaDef]
+ * @param {String} path dotted path of the value, empty for the document
+ * @param {Object} options
+ * @param {Object} scope {root} document that # references point into
+ * @return {*}
+ */
+function convert(odm, value, schemaDef, path, options, scope) {
+  if (value === null || typeof value !== 'object' || value instanceof Date || value instanceof RegExp ||
+      Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  if (value._bsontype !== undefined) {
+    if (options.json && value._bsontype === 'ObjectID') {
+      return value.toHexString();
+    }
+    return value;
+  }
+
+  var schema = defaults.resolve(odm, schemaDef, scope);
+  var i;
+
+  if (value instanceof Array) {
+    var items = schema !== undefined && schema.items !== null && typeof schema.items === 'object' &&
+      !(schema.items instanceof Array) ? schema.items : undefined;
+    var list = [];
+    for (i = 0; i < value.length; i++) {
+      list.push(convert(odm, value[i], items, path, options, {root: scope.root}));
+    }
+    return list;
+  }
+
+  var properties = schema !== undefined && schema.properties ? schema.properties : {};
+  var keys = Object.keys(value);
+  var result = {};
+  var key, childPath, child, propertyDef;
+
+  for (i = 0; i < keys.length; i++) {
+    key = keys[i];
+    childPath = path === '' ? key : path + '.' + key;
+
+    if (typeof value[key] === 'function' || value[key] === undefined || !allowed(options.fields, childPath)) {
+      continue;
+    }
+
+    child = {root: scope.root};
+    propertyDef = defaults.resolve(odm, properties[key], child);
+    if (!options.hidden && (isHidden(properties[key]) || isHidden(propertyDef))) {
+      continue;
+    }
+
+    result[key] = convert(odm, value[key], propertyDef, childPath, options, child);
+  }
+
+  return result;
+}
+
+/**
+ * Serialization of model instances to plain objects, for API responses and the like.
+ */
+var Serializer = {
+
+  /**
+   * Copies a document to a plain object. Properties the schema marks hidden or writeOnly are left out unless the
+   * hidden option is set, $ref schemas are followed.
+   *
+   * @param {ODM} odm
+   * @param {Object} document
+   * @param {Object|String|null} schemaDef
+   * @param {Object} [options]
+   * @param {String|String[]} [options.fields] whitelist of (dotted) paths
+   * @param {Boolean} [options.virtuals] include the virtual properties of the model
+   * @param {Boolean} [options.hidden] include the hidden and writeOnly properties
+   * @param {Boolean} [options.json] ObjectIds as hex strings
+   * @param {Function} [options.transform] function (document, result) that can change or replace the result
+   * @return {Object}
+   */
+  toObject: function (odm, document, schemaDef, options) {
+    var settings = {
+      fields: whitelist(options ? options.fields : undefined),
+      hidden: !!(options && options.hidden),
+      json: !!(options && options.json)
+    };
+
+    var result = convert(odm, document, schemaDef, '', settings, {root: schemaDef});
+
+    if (options && options.virtuals) {
+      var proto = Object.getPrototypeOf(document);
+      var names = Object.getOwnPropertyNames(proto);
+      var i, descriptor;
+
+      for (i = 0; i < names.length; i++) {
+        descriptor = Object.getOwnPropertyDescriptor(proto, names[i]);
+        if (typeof descriptor.get === 'function' && !descriptor.enumerable && allowed(settings.fields, names[i])) {
+          result[names[i]] = convert(odm, document[names[i]], undefined, names[i], settings, {});
+        }
+      }
+    }
+
+    if (options && typeof options.transform === 'function') {
+      var transformed = options.transform(document, result);
+      if (transformed !== undefined) {
+        return transformed;
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * Options of a toJSON call, JSON.stringify passes the property name instead of options.
+   *
+   * @param {*} options
+   * @return {Object}
+   */
+  jsonOptions: function (options) {
+    var result = {};
+    var key;
+
+    if (options !== null && typeof options === 'object') {
+      for (key in options) {
+        if (options.hasOwnProperty(key)) {
+          result[key] = options[key];
+        }
+      }
+    }
+
+    result.json = true;
+    return result;
+  }
+};
+
+module.exports = Serializer;
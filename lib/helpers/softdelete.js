@@ -0,0 +1,121 @@
+'use strict';
+
+var common = require('../protos/common');
+
+var extractOption = common.extractOption;
+
+/**
+ * Helpers for the models created with the softDelete option. Removed documents are kept with a deletion date and
+ * hidden from the finders.
+ */
+var SoftDelete = {
+
+  /**
+   * Normalizes the softDelete model option.
+   *
+   * @param {Boolean|String} option true for deletedAt or a custom field name
+   * @return {String|null} deletion date field name or null if disabled
+   */
+  config: function (option) {
+    if (option === undefined || option === null || option === false) {
+      return null;
+    }
+
+    if (option === true) {
+      return 'deletedAt';
+    }
+
+    return option;
+  },
+
+  /**
+   * Declares the deletion date field in the schema if the schema does not declare it yet. The given schema is not
+   * modified. The field can be null: findOrCreate upserts copy the null of the query scope into the new document.
+   *
+   * @param {String} field
+   * @param {Object|String} schemaDef
+   * @return {Object|String} a copy of the schema with the deletion date field, or the schema itself
+   */
+  extendSchema: function (field, schemaDef) {
+    if (field === null || schemaDef === null || typeof schemaDef !== 'object' || !schemaDef.properties) {
+      return schemaDef;
+    }
+
+    var properties = {};
+    properties[field] = {type: ['date', 'null']};
+    return common.extendProperties(schemaDef, properties);
+  },
+
+  /**
+   * Restricts a query to documents that are not deleted, unless the withDeleted option is set. The option is removed
+   * from the options object, queries on the deletion field itself are not changed.
+   *
+   * @param {String} field
+   * @param {Object} query
+   * @param {Object} options
+   * @return {Object} the query to run
+   */
+  scope: function (field, query, options) {
+    var withDeleted = extractOption('withDeleted', options);
+
+    if (field === null || withDeleted === true) {
+      return query;
+    }
+
+    query = query || {};
+
+    if (query.hasOwnProperty(field)) {
+      return query;
+    }
+
+    var scoped = {};
+    var key;
+    for (key in query) {
+      if (query.hasOwnProperty(key)) {
+        scoped[key] = query[key];
+      }
+    }
+    // null also matches documents without the field
+    scoped[field] = null;
+    return scoped;
+  },
+
+  /**
+   * Marks the documents matching the query as deleted, documents already deleted keep their deletion date.
+   *
+   * @param {ODM} odm
+   * @param {String} mongoCollection
+   * @param {String} field
+   * @param {Object} query
+   * @param {Date} date deletion date
+   * @param {Object} options options for the update
+   * @param {Function} callback Callback function (error, updated)
+   */
+  remove: function (odm, mongoCollection, field, query, date, options, callback) {
+    var update = {$set: {}};
+    update.$set[field] = date;
+
+    options.multi = true;
+    odm.update(mongoCollection, SoftDelete.scope(field, query, {}), update, options, callback);
+  },
+
+  /**
+   * Clears the deletion mark of the documents matching the query.
+   *
+   * @param {ODM} odm
+   * @param {String} mongoCollection
+   * @param {String} field
+   * @param {Object} query
+   * @param {Object} options options for the update
+   * @param {Function} callback Callback function (error, updated)
+   */
+  restore: function (odm, mongoCollection, field, query, options, callback) {
+    var update = {$unset: {}};
+    update.$unset[field] = '';
+
+    options.multi = true;
+    odm.update(mongoCollection, query, update, options, callback);
+  }
+};
+
+module.exports = SoftDelete;
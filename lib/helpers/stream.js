@@ -0,0 +1,113 @@
+'use strict';
+
+var util = require('util');
+var Readable = require('stream').Readable;
+
+/**
+ * Object mode Readable stream over a driver cursor. The cursor is opened on the first read and one document is
+ * fetched for every read, so a slow consumer never has more than the stream buffer in memory. The cursor is closed
+ * when the stream ends or is destroyed.
+ *
+ * @name ModelStream
+ * @constructor
+ * @augments Readable
+ * @param {Function} open function (callback) that calls callback(error, cursor)
+ * @param {Function} map maps each document to the value to push, null and undefined values are skipped
+ */
+function ModelStream(open, map) {
+  Readable.call(this, {objectMode: true});
+
+  this._open = open;
+  this._map = map;
+  this._cursor = null;
+  this._opening = false;
+}
+
+util.inherits(ModelStream, Readable);
+
+/**
+ * @private
+ * @memberOf ModelStream.prototype
+ */
+ModelStream.prototype._read = function () {
+  var self = this;
+
+  if (self._cursor !== null) {
+    return self._next();
+  }
+
+  if (self._opening) {
+    return;
+  }
+
+  self._opening = true;
+  self._open(function (err, cursor) {
+    self._opening = false;
+
+    if (err) {
+      return self.destroy(err instanceof Error ? err : new Error(err));
+    }
+
+    if (self.destroyed) {
+      return cursor.close();
+    }
+
+    self._cursor = cursor;
+    return self._next();
+  });
+};
+
+/**
+ * @private
+ * @memberOf ModelStream.prototype
+ */
+ModelStream.prototype._next = function () {
+  var self = this;
+
+  self._cursor.nextObject(function (err, document) {
+    if (self.destroyed) {
+      return;
+    }
+
+    if (err) {
+      return self.destroy(err instanceof Error ? err : new Error(err));
+    }
+
+    if (document === null) {
+      self._close();
+      return self.push(null);
+    }
+
+    var value = self._map(document);
+
+    if (value === null || value === undefined) {
+      // nothing to push, fetch the next one
+      return self._next();
+    }
+
+    return self.push(value);
+  });
+};
+
+/**
+ * @private
+ * @memberOf ModelStream.prototype
+ */
+ModelStream.prototype._close = function () {
+  if (this._cursor !== null && !this._cursor.isClosed()) {
+    this._cursor.close();
+  }
+};
+
+/**
+ * @private
+ * @memberOf ModelStream.prototype
+ * @param {Error} err
+ * @param {Function} callback
+ */
+ModelStream.prototype._destroy = function (err, callback) {
+  this._close();
+  callback(err);
+};
+
+module.exports = ModelStream;
@@ -0,0 +1,264 @@
+'use strict';
+
+var makeSuffix = require('jsonschema/lib/helpers').makeSuffix;
+
+var defaults = require('./defaults');
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * @type {Array}
+ */
+var MODES = ['throw', 'strip', false];
+
+/**
+ * @private
+ *
+ * @param {*} value
+ * @return {Boolean} true for objects and arrays whose properties are checked
+ */
+function isEmbedded(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && value._bsontype === undefined &&
+    !Buffer.isBuffer(value);
+}
+
+/**
+ * @private
+ *
+ * @param {Object} schemaDef resolved schema
+ * @return {Boolean} true if the schema lists its properties, schemas without properties accept any property
+ */
+function isClosed(schemaDef) {
+  return schemaDef !== null && typeof schemaDef === 'object' &&
+    (schemaDef.properties !== undefined || schemaDef.patternProperties !== undefined) &&
+    (schemaDef.additionalProperties === undefined || schemaDef.additionalProperties === false);
+}
+
+/**
+ * @private
+ *
+ * @param {Object} schemaDef resolved closed schema
+ * @param {String} key
+ * @return {Boolean} true if the schema declares the property
+ */
+function isDeclared(schemaDef, key) {
+  if (schemaDef.properties !== undefined && schemaDef.properties !== null && schemaDef.properties.hasOwnProperty(key)) {
+    return true;
+  }
+
+  var pattern;
+  for (pattern in schemaDef.patternProperties) {
+    if (schemaDef.patternProperties.hasOwnProperty(pattern) && new RegExp(pattern).test(key)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @private
+ *
+ * @param {Object} schemaDef resolved schema
+ * @param {Number} index
+ * @return {Object|undefined} schema of an array item
+ */
+function itemSchema(schemaDef, index) {
+  if (schemaDef.items instanceof Array) {
+    return schemaDef.items[index];
+  }
+  if (schemaDef.prefixItems instanceof Array && index < schemaDef.prefixItems.length) {
+    return schemaDef.prefixItems[index];
+  }
+  return schemaDef.items;
+}
+
+/**
+ * @private
+ * Checks the properties of a value and of its embedded documents.
+ *
+ * @param {ODM} odm
+ * @param {String} mode throw or strip
+ * @param {Object|String} schemaDef
+ * @param {*} value
+ * @param {Object} scope {root} see Defaults.resolve
+ * @param {String} path
+ * @param {String[]} allowed property names accepted at this level although the schema does not declare them
+ * @param {Object[]} undeclared
+ */
+function check(odm, mode, schemaDef, value, scope, path, allowed, undeclared) {
+  var schema = defaults.resolve(odm, schemaDef, scope);
+  var keys, key, i;
+
+  if (schema === undefined || typeof schema !== 'object' || !isEmbedded(value)) {
+    return;
+  }
+
+  if (value instanceof Array) {
+    for (i = 0; i < value.length; i++) {
+      check(odm, mode, itemSchema(schema, i), value[i], {root: scope.root}, path + makeSuffix(i), [], undeclared);
+    }
+    return;
+  }
+
+  keys = Object.keys(value);
+  for (i = 0; i < keys.length; i++) {
+    key = keys[i];
+
+    if (isClosed(schema) && !isDeclared(schema, key) && allowed.indexOf(key) === -1) {
+      if (mode === 'strip') {
+        delete value[key];
+      } else {
+        undeclared.push({
+          validator: 'strict',
+          property: path + makeSuffix(key),
+          message: 'is not declared in the schema',
+          schema: schemaDef
+        });
+      }
+    } else if (schema.properties !== undefined && schema.properties !== null &&
+        schema.properties.hasOwnProperty(key)) {
+      check(odm, mode, schema.properties[key], value[key], {root: scope.root}, path + makeSuffix(key), [],
+        undeclared);
+    }
+  }
+}
+
+/**
+ * Strict mode of schema models: properties the schema does not declare are removed (strip) or reported (throw). Only
+ * schemas that list their properties and do not allow additional properties are strict, free form objects are left
+ * alone.
+ */
+var Strict = {
+
+  /**
+   * Normalizes the strict model option.
+   *
+   * @param {String|Boolean} [option] throw, strip or false
+   * @return {String|null} throw, strip or null if disabled
+   */
+  config: function (option) {
+    if (option === undefined || option === null) {
+      return null;
+    }
+
+    if (MODES.indexOf(option) === -1) {
+      throw new Error('strict must be one of \'throw\', \'strip\' or false');
+    }
+
+    return option === false ? null : option;
+  },
+
+  /**
+   * Removes or reports the undeclared properties of a document and its embedded documents.
+   *
+   * @param {ODM} odm
+   * @param {String|null} mode
+   * @param {Object|String} schemaDef
+   * @param {Object} document
+   * @param {String[]} [allowed] top level property names that are always accepted
+   * @return {Object[]} the undeclared properties in throw mode, in the format of the validation errors with the strict
+   *                    validator
+   */
+  apply: function (odm, mode, schemaDef, document, allowed) {
+    var undeclared = [];
+
+    if (mode !== null) {
+      check(odm, mode, schemaDef, document, {root: schemaDef}, 'instance', allowed || [], undeclared);
+    }
+    return undeclared;
+  },
+
+  /**
+   * Removes or reports the undeclared $set paths of an update, the values are checked as well. Updates without
+   * operators replace the document and are checked as documents.
+   *
+   * @param {ODM} odm
+   * @param {String|null} mode
+   * @param {Object|String} schemaDef
+   * @param {Object} update
+   * @param {String[]} [allowed] top level property names that are always accepted
+   * @return {Object[]} the undeclared paths in throw mode
+   */
+  update: function (odm, mode, schemaDef, update, allowed) {
+    var undeclared = [];
+
+    if (mode === null || update === null || typeof update !== 'object') {
+      return undeclared;
+    }
+
+    if (!Object.keys(update).some(function (key) { return key.charAt(0) === '$'; })) {
+      return Strict.apply(odm, mode, schemaDef, update, allowed);
+    }
+
+    var set = update.$set;
+    if (set === null || typeof set !== 'object') {
+      return undeclared;
+    }
+
+    Object.keys(set).forEach(function (path) {
+      var segments = path.split('.');
+      var scope = {root: schemaDef};
+      var schema = schemaDef;
+      var i, resolved;
+
+      for (i = 0; i < segments.length && schema !== undefined; i++) {
+        resolved = defaults.resolve(odm, schema, scope);
+        if (resolved === undefined || typeof resolved !== 'object') {
+          return;
+        }
+
+        // positional operators and indexes select array items
+        if ((resolved.items !== undefined || resolved.prefixItems !== undefined) &&
+            /^(\d+|\$|\$\[\w*\])$/.test(segments[i])) {
+          schema = itemSchema(resolved, /^\d+$/.test(segments[i]) ? parseInt(segments[i], 10) : -1);
+        } else if (isClosed(resolved) && !isDeclared(resolved, segments[i]) &&
+            (i > 0 || (allowed || []).indexOf(segments[i]) === -1)) {
+          if (mode === 'strip') {
+            delete set[path];
+          } else {
+            undeclared.push({
+              validator: 'strict',
+              property: 'instance.' + path,
+              message: 'is not declared in the schema',
+              schema: schemaDef
+            });
+          }
+          return;
+        } else if (resolved.properties !== undefined && resolved.properties !== null &&
+            resolved.properties.hasOwnProperty(segments[i])) {
+          schema = resolved.properties[segments[i]];
+        } else {
+          // pattern, additional or free form properties accept anything
+          return;
+        }
+      }
+
+      check(odm, mode, schema, set[path], scope, 'instance.' + path, [], undeclared);
+    });
+
+    // an update left without operators would replace the whole document
+    if (Object.keys(set).length === 0 && Object.keys(update).length > 1) {
+      delete update.$set;
+    }
+
+    return undeclared;
+  },
+
+  /**
+   * Tells if strip mode removed all the paths of an update that only had a $set, the update would fail at the driver
+   * and there is nothing left to write.
+   *
+   * @param {String|null} mode
+   * @param {Object} update update checked with Strict.update
+   * @return {Boolean}
+   */
+  isEmpty: function (mode, update) {
+    return mode === 'strip' && update !== null && typeof update === 'object' &&
+      Object.keys(update).length === 1 && update.$set !== null && typeof update.$set === 'object' &&
+      Object.keys(update.$set).length === 0;
+  }
+};
+
+module.exports = Strict;
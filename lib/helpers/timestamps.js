@@ -0,0 +1,179 @@
+'use strict';
+
+var extendProperties = require('../protos/common').extendProperties;
+
+/**
+ * @private
+ *
+ * @param {Object} update
+ * @return {Boolean} true if the update only contains update operators ($set, $inc, ...)
+ */
+function isOperatorUpdate(update) {
+  var keys = Object.keys(update);
+  var i;
+  for (i = 0; i < keys.length; i++) {
+    if (keys[i].charAt(0) !== '$') {
+      return false;
+    }
+  }
+  return keys.length > 0;
+}
+
+/**
+ * @private
+ *
+ * @param {Object} update
+ * @param {String} operator
+ * @param {String} field
+ * @param {*} value
+ */
+function setOperatorField(update, operator, field, value) {
+  if (update[operator] === undefined || update[operator] === null) {
+    update[operator] = {};
+  }
+  if (update[operator][field] === undefined) {
+    update[operator][field] = value;
+  }
+}
+
+/**
+ * Helpers to maintain the createdAt/updatedAt fields of the models created with the timestamps option.
+ */
+var Timestamps = {
+
+  /**
+   * Normalizes the timestamps model option.
+   *
+   * @param {Boolean|Object} option true for the default field names or
+   *                                {createdAt: String|false, updatedAt: String|false}
+   * @return {Object|null} {createdAt: String|null, updatedAt: String|null} or null if disabled
+   */
+  config: function (option) {
+    if (option === undefined || option === null || option === false) {
+      return null;
+    }
+
+    if (option === true) {
+      return {createdAt: 'createdAt', updatedAt: 'updatedAt'};
+    }
+
+    var config = {
+      createdAt: option.createdAt === undefined || option.createdAt === true ? 'createdAt' : option.createdAt || null,
+      updatedAt: option.updatedAt === undefined || option.updatedAt === true ? 'updatedAt' : option.updatedAt || null
+    };
+
+    if (config.createdAt === null && config.updatedAt === null) {
+      return null;
+    }
+
+    return config;
+  },
+
+  /**
+   * Declares the timestamp fields as dates in the schema if the schema does not declare them yet, so documents still
+   * validate when the schema does not allow additional properties. The given schema is not modified.
+   *
+   * @param {Object} config
+   * @param {Object|String} schemaDef
+   * @return {Object|String} a copy of the schema with the timestamp fields, or the schema itself
+   */
+  extendSchema: function (config, schemaDef) {
+    if (config === null || schemaDef === null || typeof schemaDef !== 'object' || !schemaDef.properties) {
+      return schemaDef;
+    }
+
+    var properties = {};
+    if (config.createdAt !== null) {
+      properties[config.createdAt] = {type: 'date'};
+    }
+    if (config.updatedAt !== null) {
+      properties[config.updatedAt] = {type: 'date'};
+    }
+    return extendProperties(schemaDef, properties);
+  },
+
+  /**
+   * Sets the timestamps of a document (or array of documents) about to be inserted.
+   *
+   * @param {Object} config
+   * @param {Object|Object[]} documents
+   */
+  insert: function (config, documents) {
+    if (config === null) {
+      return;
+    }
+
+    var now = new Date();
+    var list = documents instanceof Array ? documents : [documents];
+    var i;
+
+    for (i = 0; i < list.length; i++) {
+      if (list[i] !== null && typeof list[i] === 'object') {
+        if (config.createdAt !== null && list[i][config.createdAt] === undefined) {
+          list[i][config.createdAt] = now;
+        }
+        if (config.updatedAt !== null) {
+          list[i][config.updatedAt] = now;
+        }
+      }
+    }
+  },
+
+  /**
+   * Sets the timestamps of a document about to be saved, new documents (without _id) are handled as inserts.
+   *
+   * @param {Object} config
+   * @param {Object} document
+   */
+  save: function (config, document) {
+    if (config === null || document === null || typeof document !== 'object') {
+      return;
+    }
+
+    if (document._id === undefined) {
+      return Timestamps.insert(config, document);
+    }
+
+    if (config.updatedAt !== null) {
+      document[config.updatedAt] = new Date();
+    }
+  },
+
+  /**
+   * Adds the timestamps to an update statement. Operator updates get a $set of updatedAt (and a $setOnInsert of
+   * createdAt for upserts), replacement documents get the fields set directly.
+   *
+   * @param {Object} config
+   * @param {Object} update update statement
+   * @param {Boolean} [upsert]
+   * @param {Object} [document] model instance being updated, its fields are kept in sync
+   */
+  update: function (config, update, upsert, document) {
+    if (config === null || update === null || typeof update !== 'object') {
+      return;
+    }
+
+    var now = new Date();
+
+    if (!isOperatorUpdate(update)) {
+      // replacement document
+      if (config.updatedAt !== null) {
+        update[config.updatedAt] = now;
+      }
+      return;
+    }
+
+    if (config.updatedAt !== null) {
+      setOperatorField(update, '$set', config.updatedAt, now);
+      if (document !== undefined && update.$set[config.updatedAt] === now) {
+        document[config.updatedAt] = now;
+      }
+    }
+
+    if (upsert === true && config.createdAt !== null) {
+      setOperatorField(update, '$setOnInsert', config.createdAt, now);
+    }
+  }
+};
+
+module.exports = Timestamps;
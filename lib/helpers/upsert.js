@@ -0,0 +1,105 @@
+'use strict';
+
+var ObjectID = require('mongodb').BSONPure.ObjectID;
+
+/**
+ * @private
+ *
+ * @param {*} value
+ * @return {Boolean} true if the value is an object of query or update operators
+ */
+function isOperatorObject(value) {
+  if (value === null || typeof value !== 'object' || value instanceof Array || value instanceof Date ||
+      value instanceof RegExp || value._bsontype !== undefined) {
+    return false;
+  }
+
+  var keys = Object.keys(value);
+  return keys.length > 0 && keys[0].charAt(0) === '$';
+}
+
+/**
+ * Helpers for the findOrCreate and upsert functions of the models, both run as a findAndModify with upsert.
+ */
+var Upsert = {
+
+  /**
+   * Builds the document a findOrCreate inserts when nothing matches: the equality fields of the query and the values.
+   *
+   * @param {Object} query
+   * @param {Object} [values] fields of the created document
+   * @return {Object}
+   */
+  seed: function (query, values) {
+    var document = {};
+    var key;
+
+    for (key in query) {
+      if (query.hasOwnProperty(key) && key.charAt(0) !== '$' && key.indexOf('.') === -1 &&
+          !isOperatorObject(query[key])) {
+        document[key] = query[key];
+      }
+    }
+
+    for (key in values) {
+      if (values.hasOwnProperty(key)) {
+        document[key] = values[key];
+      }
+    }
+
+    return document;
+  },
+
+  /**
+   * Update statement of a findOrCreate: the seed document is only written on insert, the fields set by the query
+   * itself are left out. An existing document is not modified.
+   *
+   * @param {Object} query
+   * @param {Object} document seed document
+   * @return {Object}
+   */
+  setOnInsert: function (query, document) {
+    var update = {$setOnInsert: {}};
+    var key;
+
+    for (key in document) {
+      if (document.hasOwnProperty(key) && !query.hasOwnProperty(key)) {
+        update.$setOnInsert[key] = document[key];
+      }
+    }
+
+    // an empty $setOnInsert is rejected by the server, the id of the new document is always safe to set
+    if (!query.hasOwnProperty('_id')) {
+      update.$setOnInsert._id = document._id !== undefined ? document._id : new ObjectID();
+    } else if (Object.keys(update.$setOnInsert).length === 0) {
+      update.$setOnInsert._id = query._id;
+    }
+
+    return update;
+  },
+
+  /**
+   * Update statement of an upsert, plain objects are $set.
+   *
+   * @param {Object} update
+   * @return {Object}
+   */
+  update: function (update) {
+    if (update === null || typeof update !== 'object' || isOperatorObject(update)) {
+      return update;
+    }
+
+    return {$set: update};
+  },
+
+  /**
+   * @param {Object} [result] full findAndModify result from the driver
+   * @return {Boolean} true if the upsert inserted a new document
+   */
+  created: function (result) {
+    return result !== undefined && result !== null && result.lastErrorObject !== undefined &&
+      result.lastErrorObject.updatedExisting === false;
+  }
+};
+
+module.exports = Upsert;
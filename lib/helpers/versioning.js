@@ -0,0 +1,148 @@
+'use strict';
+
+var ConflictError = require('../errors').ConflictError;
+var extendProperties = require('../protos/common').extendProperties;
+
+/**
+ * Helpers for the optimistic concurrency control of the models created with the versionKey option. Writes of a loaded
+ * document only match the version it was loaded with and increment it, a write that matches nothing is a conflict.
+ */
+var Versioning = {
+
+  /**
+   * Normalizes the versionKey model option.
+   *
+   * @param {Boolean|String} option true for __v or a custom field name
+   * @return {String|null} version field name or null if disabled
+   */
+  config: function (option) {
+    if (option === undefined || option === null || option === false) {
+      return null;
+    }
+
+    if (option === true) {
+      return '__v';
+    }
+
+    return option;
+  },
+
+  /**
+   * Declares the version field as integer in the schema if the schema does not declare it yet. The given schema is not
+   * modified.
+   *
+   * @param {String} key
+   * @param {Object|String} schemaDef
+   * @return {Object|String} a copy of the schema with the version field, or the schema itself
+   */
+  extendSchema: function (key, schemaDef) {
+    if (key === null || schemaDef === null || typeof schemaDef !== 'object' || !schemaDef.properties) {
+      return schemaDef;
+    }
+
+    var properties = {};
+    properties[key] = {type: 'integer'};
+    return extendProperties(schemaDef, properties);
+  },
+
+  /**
+   * Sets the initial version of a document (or array of documents) about to be inserted.
+   *
+   * @param {String} key
+   * @param {Object|Object[]} documents
+   */
+  insert: function (key, documents) {
+    if (key === null) {
+      return;
+    }
+
+    var list = documents instanceof Array ? documents : [documents];
+    var i;
+
+    for (i = 0; i < list.length; i++) {
+      if (list[i] !== null && typeof list[i] === 'object' && list[i][key] === undefined) {
+        list[i][key] = 0;
+      }
+    }
+  },
+
+  /**
+   * @param {String} key
+   * @param {Object} document
+   * @return {Boolean} true if writes of this document must be checked against the stored version
+   */
+  isVersioned: function (key, document) {
+    return key !== null && document._id !== undefined && typeof document[key] === 'number';
+  },
+
+  /**
+   * @param {String} key
+   * @param {Object} document
+   * @return {Object} criteria matching the document id and its current version
+   */
+  criteria: function (key, document) {
+    var criteria = {_id: document._id};
+    criteria[key] = document[key];
+    return criteria;
+  },
+
+  /**
+   * Adds the atomic version increment to an operator update, replacement documents get the next version set directly
+   * when the current version is known.
+   *
+   * @param {String} key
+   * @param {Object} update
+   * @param {Number} [version] current version of the document being replaced
+   */
+  increment: function (key, update, version) {
+    if (key === null || update === null || typeof update !== 'object') {
+      return;
+    }
+
+    var keys = Object.keys(update);
+    var i;
+    for (i = 0; i < keys.length; i++) {
+      if (keys[i].charAt(0) !== '$') {
+        // replacement document
+        if (version !== undefined) {
+          update[key] = version + 1;
+        }
+        return;
+      }
+    }
+
+    if (update.$inc === undefined || update.$inc === null) {
+      update.$inc = {};
+    }
+    update.$inc[key] = 1;
+  },
+
+  /**
+   * Wraps the callback of a versioned update. The local version is rolled back if the update fails or matches no
+   * document, in the later case the callback gets a ConflictError.
+   *
+   * @param {String} key
+   * @param {Object} document
+   * @param {Number} version version the update expects
+   * @param {String} collection collection name
+   * @param {Function} callback
+   * @return {Function}
+   */
+  guard: function (key, document, version, collection, callback) {
+    return function (err, updated) {
+      if (err) {
+        document[key] = version;
+        return callback(err);
+      }
+
+      if (updated === 0) {
+        document[key] = version;
+        return callback(new ConflictError(collection, document._id, version));
+      }
+
+      return callback.apply(null, arguments);
+    };
+  }
+};
+
+module.exports = Versioning;
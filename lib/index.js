@@ -1,36 +1,53 @@
 'use strict';
 
 var fs = require('fs');
+var EventEmitter = require('events').EventEmitter;
 var mongodb = require('mongodb');
 var ObjectID = mongodb.BSONPure.ObjectID;
 var Binary = mongodb.BSONPure.Binary;
-var Cursor = mongodb.Cursor;
 // helpers
 var arrayHelper = require('./helpers/arrays');
 var parallelHelper = require('./helpers/parallel');
-var Cache = require('./helpers/cache');
+var ejson = require('./helpers/ejson');
+var defaults = require('./helpers/defaults');
+var drafts = require('./helpers/drafts');
+var bson = require('./helpers/bson');
+var plugins = require('./helpers/plugins');
 // protos
 var model = require('./protos/model');
 var schemaModel = require('./protos/schemamodel');
 var embeddedSchemaModel = require('./protos/embedschemamodel');
 var view = require('./protos/view');
-// common
-var common = require('./protos/common');
 
-var schema = new (require('jsonschema').Environment)();
-var snapshotsCache = new Cache();
+// connections
+var Connection = require('./connection');
+// errors
+var errors = require('./errors');
 
-// lazy connector
-var _collections = {};
-var _connected = false;
-var _connecting = false;
+var schema = new (require('jsonschema').Environment)();
+var Validator = require('jsonschema/lib/validator');
 
-var _url = null;
-var _options = null;
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * schema keywords understood by the ODM that the validator must ignore
+ * @type {String[]}
+ */
+var EXTENSION_KEYWORDS = ['$schema', 'defaultFn', 'sequence', 'hidden', 'writeOnly', 'bsonType'];
 
-var _safeOptions = null;
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * @type {String}
+ */
+var DEFAULT_CONNECTION = 'default';
 
-var extractOption = common.extractOption;
+// named connections
+var _connections = {};
 
 /**
  * Object Document Model
@@ -53,8 +70,47 @@ var ODM = {
    * @static
    * @memberOf ODM
    */
-  db: null,
-
+  Long: mongodb.BSONPure.Long,
+  /**
+   * @static
+   * @memberOf ODM
+   */
+  Timestamp: mongodb.BSONPure.Timestamp,
+  /**
+   * @static
+   * @memberOf ODM
+   */
+  ValidationError: errors.ValidationError,
+  /**
+   * @static
+   * @memberOf ODM
+   */
+  NotFoundError: errors.NotFoundError,
+  /**
+   * @static
+   * @memberOf ODM
+   */
+  InvalidIdError: errors.InvalidIdError,
+  /**
+   * @static
+   * @memberOf ODM
+   */
+  ConnectionError: errors.ConnectionError,
+  /**
+   * @static
+   * @memberOf ODM
+   */
+  ConflictError: errors.ConflictError,
+  /**
+   * @static
+   * @memberOf ODM
+   */
+  ArgumentError: errors.ArgumentError,
+  /**
+   * @static
+   * @memberOf ODM
+   */
+  StateError: errors.StateError,
   /**
    * Defines the connection url for all models
    *
@@ -65,47 +121,7 @@ var ODM = {
    * @param {Function} [callback] Callback if we want to connect right away
    */
   connect: function (url, options, callback) {
-    // disconnect any open connection
-    ODM.disconnect();
-
-    _url = url;
-    _options = options || {};
-    _connected = false;
-    _collections = {};
-
-    _safeOptions = extractOption('safe', options, true);
-    // enable safe by default
-    _options.db = {safe: _safeOptions};
-
-    if (callback !== undefined) {
-      mongodb.connect(_url, _options, function (err, db) {
-        // flag we are done with the connection wait
-        _connecting = false;
-
-        if (err) {
-          return callback(err);
-        }
-
-        ODM.db = db;
-
-        ODM.db.on('close', function (err) {
-          // clear collection cache
-          _collections = {};
-          if (err) {
-            console.error(err);
-          }
-        });
-
-        _connected = true;
-        _collections = {};
-
-        return callback(null);
-      });
-
-      // flag we are waiting
-      _connecting = true;
-    }
-    return null;
+    return ODM.connection().connect(url, options, callback);
   },
 
   /**
@@ -117,488 +133,178 @@ var ODM = {
    * @param {Function} [callback] Callback if we want to connect right away
    */
   disconnect: function (callback) {
-    if (ODM.db) {
-      if (callback !== undefined) {
-        ODM.db.close(callback);
-      } else {
-        ODM.db.close();
-      }
-      // clear collection cache
-      _collections = {};
-      _connected = false;
-      _connecting = false;
-    }
+    return ODM.connection().disconnect(callback);
   },
 
   /**
-   * Gets a collection object from the native driver
+   * Gets a named connection, if the connection does not exist yet it is created without url, so models can be bound
+   * to it before the connection is configured.
    *
    * @static
    * @memberOf ODM
-   * @param {String} collection_name mongodb collection name
-   * @param {Object} [options] Options passed to the native driver
-   * @param {Function} callback Callback function(err, collection)
+   * @param {String} [name] connection name, if not present the default connection is returned
+   *
+   * @return {Connection}
    */
-  collection: function (collection_name, options, callback) {
-
-    if (callback === undefined) {
-      callback = options;
-      options = {};
-    }
-
-    if (_connecting) {
-      // delay this request since we are in transit to get a new connection
-      return setTimeout(function () {
-        ODM.collection(collection_name, options, callback);
-      }, 300);
+  connection: function (name) {
+    if (name === undefined || name === null) {
+      name = DEFAULT_CONNECTION;
     }
 
-    if (!_connected) {
-      if (!_url) {
-        return callback('No Connection defined.');
-      }
-
-      mongodb.connect(_url, _options, function (err, db) {
-        // flag we are done with the connection wait
-        _connecting = false;
-
-        if (err) {
-          return callback(err);
-        }
-
-        ODM.db = db;
-        _connected = true;
-        _collections = {};
+    if (!_connections.hasOwnProperty(name)) {
+      var connection = _connections[name] = new Connection(name);
 
-        return ODM.db.collection(collection_name, options, function (err, collection) {
-          if (!err) {
-            _collections[collection_name] = collection;
-          }
-          callback(err, collection);
+      // connection state events are also emitted on ODM with the connection name as first argument
+      Connection.EVENTS.forEach(function (event) {
+        connection.on(event, function () {
+          ODM.emit.apply(ODM, [event, name].concat(Array.prototype.slice.call(arguments)));
         });
       });
-
-      // flag we are waiting
-      _connecting = true;
-      return null;
     }
 
-    if (_collections[collection_name]) {
-      return callback(null, _collections[collection_name]);
-    }
-
-    ODM.db.collection(collection_name, options, function (err, collection) {
-      if (!err) {
-        _collections[collection_name] = collection;
-      }
-      return callback(err, collection);
-    });
+    return _connections[name];
   },
 
   /**
-   * @static
-   * @memberOf ODM
+   * Defines the connection url for a named connection
    *
-   * @param {String} collection_name
-   * @param {Object} query
-   * @param {Object} fields
-   * @param {Object} options
-   * @param {Function} callback
-   */
-  findOne: function (collection_name, query, fields, options, callback) {
-    ODM.collection(collection_name, options, function (err, collection) {
-      if (err) {
-        return callback(err);
-      }
-
-      return collection.findOne(query, fields, options, callback);
-    });
-  },
-
-  /**
    * @static
    * @memberOf ODM
+   * @param {String} name connection name
+   * @param {String} url mongodb connection string, The format is: mongodb://<server>:<port>/<database>
+   * @param {Object} [options] Options passed to the native driver
+   * @param {Function} [callback] Callback if we want to connect right away
    *
-   * @param {String} collection_name
-   * @param {Object} query
-   * @param {Object} fields
-   * @param {Object} options
-   * @param {Function} callback
+   * @return {Connection}
    */
-  find: function (collection_name, query, fields, options, callback) {
-    var wantCursor = extractOption('cursor', options, false);
-
-    ODM.collection(collection_name, options, function (err, collection) {
-      if (err) {
-        return callback(err);
-      }
-
-      return collection.find(query, fields, options, function (err, cursor) {
-        if (err) {
-          return callback(err);
-        }
-
-        if (wantCursor) {
-          if (cursor.state !== Cursor.CLOSED) {
-            return callback(null, cursor);
-          }
-
-          return callback('Cursor is closed');
-        }
-
-        return cursor.toArray(function (err, array) {
-          if (err) {
-            return callback(err);
-          }
-
-          // clean resources
-          if (!cursor.isClosed()) {
-            cursor.close();
-          }
-
-          return callback(null, array);
-        });
-      });
-    });
+  createConnection: function (name, url, options, callback) {
+    var connection = ODM.connection(name);
+    connection.connect(url, options, callback);
+    return connection;
   },
 
   /**
-   * @static
-   * @memberOf ODM
+   * Parses a JSON string converting MongoDB Extended JSON values (canonical, relaxed or legacy) and ISO dates to the
+   * native types: ObjectId, Date, Binary, RegExp, Long. Already parsed objects are converted in place.
    *
-   * @param {String} collection_name
-   * @param {Object} query
-   * @param {Object} sort
-   * @param {Object} document
-   * @param {Object} options
-   * @param {Function} callback
-   */
-  findAndModify: function (collection_name, query, sort, document, options, callback) {
-    var wantCursor = extractOption('cursor', options, false);
-
-    ODM.collection(collection_name, options, function (err, collection) {
-      if (err) {
-          return callback(err);
-      }
-
-      return collection.findAndModify(query, sort, document, options, callback);
-    });
-  },
-
-  /**
    * @static
    * @memberOf ODM
-   * @param {String} collection_name
-   * @param {Object} query
-   * @param {Object} options
-   * @param {Function} callback
+   * @function
+   * @param {String|Object} json
+   * @param {Object} [options]
+   * @param {Boolean} [options.isoDates] convert ISO 8601 date time strings to Date, defaults to true
+   * @return {*}
    */
-  count: function (collection_name, query, options, callback) {
-    ODM.collection(collection_name, options, function (err, collection) {
-      if (err) {
-        return callback(err);
-      }
-
-      return collection.find(query, options).count(callback);
-    });
-  },
+  parse: ejson.parse,
 
   /**
+   * Serializes a value to MongoDB Extended JSON.
+   *
    * @static
    * @memberOf ODM
-   * @param {String} collection_name
-   * @param {Object} options
-   * @param {Function} callback
+   * @function
+   * @param {*} value
+   * @param {Object} [options]
+   * @param {Boolean} [options.relaxed] relaxed (default) or canonical mode
+   * @param {String|Number} [options.space] indentation, same as JSON.stringify
+   * @return {String}
    */
-  stats: function (collection_name, options, callback) {
-    ODM.collection(collection_name, options, function (err, collection) {
-      if (err) {
-        return callback(err);
-      }
-
-      return collection.stats(options, callback);
-    });
-  },
+  stringify: ejson.stringify,
 
   /**
-   * @static
-   * @memberOf ODM
+   * Registers a schema under its id ($id from draft-06 on) or the given urn.
    *
-   * @param {String} collection_name
-   * @param {Object|Object[]}documents
-   * @param {Object} options
-   * @param {Function} callback
-   */
-  insert: function (collection_name, documents, options, callback) {
-    ODM.collection(collection_name, options, function (err, collection) {
-      if (err) {
-        return callback(err);
-      }
-
-      options.safe = _safeOptions;
-      return collection.insert(documents, options, callback);
-    });
-  },
-
-  /**
    * @static
    * @memberOf ODM
-   *
-   * @param {String} collection_name
-   * @param {Object} criteria
-   * @param {Object} document
-   * @param {Object} options
-   * @param {Function} callback
+   * @param {Object} schemaDef
+   * @param {String} [urn]
+   * @return {Object|undefined} the registered schema
    */
-  update: function (collection_name, criteria, document, options, callback) {
-    ODM.collection(collection_name, options, function (err, collection) {
-      if (err) {
-        return callback(err);
-      }
-
-      options.safe = _safeOptions;
-      return collection.update(criteria, document, options, callback);
-    });
+  createSchema: function (schemaDef, urn) {
+    if (urn === undefined && schemaDef !== undefined && schemaDef !== null && schemaDef.id === undefined) {
+      urn = schemaDef.$id;
+    }
+    return schema.addSchema(schemaDef, urn);
   },
 
   /**
-   * @static
-   * @memberOf ODM
+   * Validates an instance against a schema, the ODM schema extension keywords are ignored. The $schema keyword of the
+   * schema selects the draft, schemas without it are draft-03.
    *
-   * @param {String} collection_name
-   * @param {Object} document
-   * @param {Object} options
-   * @param {Function} callback
-   */
-  save: function (collection_name, document, options, callback) {
-    ODM.collection(collection_name, options, function (err, collection) {
-      if (err) {
-        return callback(err);
-      }
-
-      options.safe = _safeOptions;
-      return collection.save(document, options, callback);
-    });
-  },
-
-  /**
    * @static
    * @memberOf ODM
-   *
-   * @param {String} collection_name
-   * @param {Object} query
-   * @param {Object} options
-   * @param {Function} callback
+   * @param {*} instance
+   * @param {Object|String} schemaDef
+   * @return {Array} validation errors
    */
-  remove: function (collection_name, query, options, callback) {
-    ODM.collection(collection_name, options, function (err, collection) {
-      if (err) {
-        return callback(err);
-      }
+  validate: function (instance, schemaDef) {
+    var draft = drafts.detect(typeof schemaDef === 'string' ? schema.schemas[schemaDef] : schemaDef);
 
-      options.safe = _safeOptions;
-      return collection.remove(query, options, callback);
-    });
+    if (draft !== 'draft-03') {
+      return drafts.validate(ODM.getSchema, instance, schemaDef, draft);
+    }
+
+    var validator = new Validator();
+    validator.setSchemas(schema.schemas);
+    // the ODM checks its bsonType keyword itself
+    return validator.validate(instance, schemaDef, {skipAttributes: EXTENSION_KEYWORDS})
+      .concat(bson.validate(ODM.getSchema, instance, schemaDef));
   },
 
   /**
+   * Returns a schema registered with createSchema.
+   *
    * @static
    * @memberOf ODM
-   *
-   * @param {String} collection_name
-   * @param {ObjectId} oid
-   * @param {Object} fields
-   * @param {Object} options
-   * @param {Function} callback
+   * @param {String} urn schema id
+   * @return {Object|undefined}
    */
-  snapshot: function (collection_name, oid, fields, options, callback) {
-
-    var storeSnapshot = function (txdocument) {
-      if (options.transient === true) {
-        snapshotsCache.set(oid.toHexString(), txdocument);
-        callback(null);
-      } else {
-        ODM.collection('snapshots', options, function (err, txcollection) {
-          if (err) {
-            return callback(err);
-          }
-
-          options.safe = _safeOptions;
-          return txcollection.save(txdocument, options, callback);
-        });
-      }
-    };
-
-    ODM.collection(collection_name, options, function (err, collection) {
-      if (err) {
-        return callback(err);
-      }
-
-      return collection.findOne({_id: oid}, fields, options, function (err, document) {
-        if (err) {
-          return callback(err);
-        }
-
-        if (document === null) {
-          return callback('not found');
-        }
-
-        storeSnapshot({_id: oid, fields: fields, doc: document});
-      });
-    });
+  getSchema: function (urn) {
+    return schema.schemas[urn];
   },
 
   /**
+   * Registers a named generator to be used as defaultFn in schemas, now and objectId are built in.
+   *
    * @static
    * @memberOf ODM
-   *
-   * @param {String} collection_name
-   * @param {ObjectId} oid
-   * @param {Object} options
-   * @param {Function} callback
+   * @function
+   * @param {String} name
+   * @param {Function} fn generator, called without arguments
    */
-  revert: function (collection_name, oid, options, callback) {
-
-    var loadSnapshot = function (callback) {
-      if (options.transient === true) {
-        callback(null, snapshotsCache.get(oid.toHexString()));
-      } else {
-        ODM.collection('snapshots', options, function (err, txcollection) {
-          if (err) {
-            return callback(err);
-          }
-
-          return txcollection.findOne({_id: oid}, {}, options, callback);
-        });
-      }
-    };
-
-    var cleanSnapshot = function (callback) {
-      if (options.transient === true) {
-        snapshotsCache.del(oid.toHexString());
-        callback(null);
-      } else {
-        ODM.collection('snapshots', options, function (err, txcollection) {
-          if (err) {
-            return callback(err);
-          }
-
-          txcollection.remove({_id: oid}, options, callback);
-        });
-      }
-    };
-
-    loadSnapshot(function (err, document) {
-      if (err) {
-        return callback(err);
-      }
-
-      if (document === null) {
-        return callback('not found');
-      }
-
-      return ODM.collection(collection_name, options, function (err, collection) {
-        if (err) {
-          return callback(err);
-        }
-
-        options.safe = _safeOptions;
-        // was this snapshot a full doc or partial?
-        var fields = Object.keys(document.fields);
-
-        if (fields.length > 0) {
-          // partial
-          // remove _id
-          delete document.doc._id;
-          var update = {$set: document.doc};
-
-          // generate unset list
-          var docFields = Object.keys(document.doc);
-          var i, j;
-          for (i = 0; i < docFields.length; i++) {
-            for (j = 0; j < fields.length; j++) {
-              if (docFields[i] === fields[j]) {
-                fields.splice(j, 1);
-                break;
-              }
-            }
-          }
-
-          if (fields.length > 0) {
-            update.$unset = {};
-            for (j = 0; j < fields.length; j++) {
-              update.$unset[fields[j]] = 1;
-            }
-          }
-
-          collection.update({_id: oid}, update, options, function (err) {
-            if (err) {
-              return callback(err);
-            }
-
-            // clean up
-            delete options.safe;
-            return cleanSnapshot(callback);
-          });
-        } else {
-          // full
-          // ensure _id
-          document.doc._id = oid;
-          collection.save(document.doc, options, function (err) {
-            if (err) {
-              return callback(err);
-            }
-
-            // clean up
-            delete options.safe;
-            return cleanSnapshot(callback);
-          });
-        }
-      });
-    });
-  },
+  defaultFn: defaults.register,
 
   /**
+   * Registers a plugin that runs on every model created afterwards with model or schemaModel. A plugin is a function
+   * (Model, options) that adds behaviour through the static, method, pre, post and extendSchema functions of the model.
+   *
    * @static
    * @memberOf ODM
-   *
-   * @param {String} collection_name
-   * @param {ObjectId} oid
-   * @param {Object} options
-   * @param {Function} callback
+   * @param {Function} fn plugin function
+   * @param {Object} [options] options passed to the plugin
+   * @return {ODM}
    */
-  flush: function (collection_name, oid, options, callback) {
-    if (options.transient === true) {
-      snapshotsCache.del(oid.toHexString());
-    } else {
-      ODM.collection('snapshots', options, function (err, txcollection) {
-        if (err) {
-          return callback(err);
-        }
-
-        return txcollection.remove({_id: oid}, options, callback);
-      });
-    }
+  plugin: function (fn, options) {
+    plugins.register(fn, options);
+    return this;
   },
 
-  /**
-   * JSON Schema validator functions
-   */
-  createSchema: schema.addSchema.bind(schema),
-  validate: schema.validate.bind(schema),
-
   /**
    * Creates a new Document Model class
    *
    * @static
    * @memberOf ODM
    * @param {Object} schemaDef
+   * @param {Object} [options] model options
+   * @param {String} [options.draft] JSON Schema draft of the schema: draft-03, draft-07 or 2020-12
+   * @param {Boolean} [options.coerce] convert strings to the types of the schema
+   * @param {String|Boolean} [options.strict] reject ('throw') or remove ('strip') undeclared properties
    *
    * @return {Function}
    */
-  embeddedSchemaModel: function (schemaDef) {
+  embeddedSchemaModel: function (schemaDef, options) {
     if (schemaDef !== undefined && schemaDef !== null) {
-      return embeddedSchemaModel(ODM, schemaDef);
+      return embeddedSchemaModel(ODM, schemaDef, options);
     }
 
     throw new Error('Cannot instantiate model without schema and collection');
@@ -610,12 +316,23 @@ var ODM = {
    * @static
    * @memberOf ODM
    * @param {String} mongoCollection Collection name, if not present this is an embedded document
+   * @param {Object} [options] model options
+   * @param {String|Connection} [options.connection] connection the model is bound to, by default the default connection
+   * @param {Boolean|Object} [options.timestamps] maintain createdAt/updatedAt fields, true or custom field names
+   * @param {Boolean|String} [options.versionKey] optimistic concurrency control field, true for __v
+   * @param {Boolean|String} [options.softDelete] mark removed documents with a deletion date, true for deletedAt
+   * @param {Object} [options.sequences] fields numbered on insert from a counters collection, field name to sequence
+   * @param {Object} [options.statics] static functions by name
+   * @param {Object} [options.methods] instance functions by name
+   * @param {Object} [options.virtuals] virtual properties by name, a getter or {get, set}
    *
    * @return {Function}
    */
-  model: function (mongoCollection) {
+  model: function (mongoCollection, options) {
+    options = options || {};
+
     if (mongoCollection !== undefined) {
-      return model(ODM, mongoCollection);
+      return plugins.applyGlobal(model(bindConnection(options.connection), mongoCollection, options));
     }
 
     throw new Error('Cannot instantiate model without schema and collection');
@@ -628,13 +345,31 @@ var ODM = {
    * @memberOf ODM
    * @param {String} mongoCollection Collection name, if not present this is an embedded document
    * @param {Object|String} schemaDef
+   * @param {Object} [options] model options
+   * @param {String|Connection} [options.connection] connection the model is bound to, by default the default connection
+   * @param {Boolean|Object} [options.timestamps] maintain createdAt/updatedAt fields, true or custom field names
+   * @param {Boolean|String} [options.versionKey] optimistic concurrency control field, true for __v
+   * @param {Boolean|String} [options.softDelete] mark removed documents with a deletion date, true for deletedAt
+   * @param {Object} [options.sequences] fields numbered on insert from a counters collection, field name to sequence
+   * @param {Object} [options.statics] static functions by name
+   * @param {Object} [options.methods] instance functions by name
+   * @param {Object} [options.virtuals] virtual properties by name, a getter or {get, set}
+   * @param {String} [options.draft] JSON Schema draft of the schema: draft-03, draft-07 or 2020-12, by default the
+   *                                 $schema of the schema or draft-03
+   * @param {Boolean} [options.coerce] convert strings to the types of the schema when constructing, casting and
+   *                                   validating
+   * @param {String|Boolean} [options.strict] reject ('throw') or remove ('strip') the properties the schema does not
+   *                                          declare when constructing, casting and in the $set of updates
    *
    * @return {Function}
    */
-  schemaModel: function (mongoCollection, schemaDef) {
+  schemaModel: function (mongoCollection, schemaDef, options) {
+    options = options || {};
+
     if (schemaDef !== undefined && schemaDef !== null) {
       if (mongoCollection !== undefined) {
-        return schemaModel(ODM, mongoCollection, schemaDef);
+        return plugins.applyGlobal(schemaModel(bindConnection(options.connection), mongoCollection, schemaDef,
+          options));
       }
     }
 
@@ -663,7 +398,7 @@ var ODM = {
 
     // iterate through all collections in schemas
     schemas.forEach(function (schema) {
-      var collectionName = schema.id;
+      var collectionName = schema.id || schema.$id;
 
       // add table to record
       subgraph.records += '"' + collectionName + '" [\n';
@@ -681,12 +416,12 @@ var ODM = {
           var property = schema.properties[propertyName];
           fieldNumber++;
 
-          type = property.type;
+          type = bson.describe(property) || property.type;
 
           if (property.$ref) {
-            type = property.$ref;
+            type = bson.describe(property) || property.$ref;
             // only ObjectId props are dbrefs
-            if (property.$ref === 'MongoDb#ObjectId') {
+            if (bson.describe(property) === 'ObjectId') {
               if (property.title) {
                 options.refNum++;
                 // add references
@@ -697,12 +432,12 @@ var ODM = {
 
           if (property.type === 'array') {
             items = property.items;
-            type = items.type + '[]';
+            type = (bson.describe(items) || items.type) + '[]';
 
             if (items.$ref) {
-              type = items.$ref + '[]';
+              type = (bson.describe(items) || items.$ref) + '[]';
               // only ObjectId props are dbrefs
-              if (items.$ref === 'MongoDb#ObjectId') {
+              if (bson.describe(items) === 'ObjectId') {
                 if (items.title) {
                   options.refNum++;
                   // add references
@@ -727,9 +462,9 @@ var ODM = {
             }
 
             if (prop.$ref) {
-              type = '?' + prop.$ref;
+              type = '?' + (bson.describe(prop) || prop.$ref);
               // only ObjectId props are dbrefs
-              if (prop.$ref === 'MongoDb#ObjectId') {
+              if (bson.describe(prop) === 'ObjectId') {
                 if (prop.title) {
                   options.refNum++;
                   // add references
@@ -740,12 +475,12 @@ var ODM = {
 
             if (prop.type === 'array') {
               items = prop.items;
-              type = '?' + items.type + '[]';
+              type = '?' + (bson.describe(items) || items.type) + '[]';
 
               if (items.$ref) {
-                type = items.$ref + '[]';
+                type = (bson.describe(items) || items.$ref) + '[]';
                 // only ObjectId props are dbrefs
-                if (items.$ref === 'MongoDb#ObjectId') {
+                if (bson.describe(items) === 'ObjectId') {
                   if (items.title) {
                     options.refNum++;
                     // add references
@@ -811,16 +546,83 @@ var ODM = {
   parallel: parallelHelper
 };
 
+// ODM is an event emitter, it re-emits the connection state events: connecting, connected, disconnected and
+// reconnectFailed
+var key;
+for (key in EventEmitter.prototype) {
+  if (typeof EventEmitter.prototype[key] === 'function') {
+    ODM[key] = EventEmitter.prototype[key];
+  }
+}
+EventEmitter.call(ODM);
+
+/**
+ * Native driver database object of the default connection, assigning a db opened elsewhere binds the default
+ * connection to it (see Connection#use).
+ *
+ * @static
+ * @memberOf ODM
+ * @name db
+ */
+Object.defineProperty(ODM, 'db', {
+  enumerable: true,
+  get: function () {
+    return ODM.connection().db;
+  },
+  set: function (db) {
+    ODM.connection().use(db);
+  }
+});
+
+// the data access functions (find, insert, update, ...) run on the default connection
+Connection.METHODS.forEach(function (method) {
+  ODM[method] = function () {
+    var connection = ODM.connection();
+    return connection[method].apply(connection, arguments);
+  };
+});
+
+/**
+ * @private
+ * Returns the ODM object a model uses to talk to the database. For a named connection this is an object that inherits
+ * from ODM but with all data access functions bound to that connection.
+ *
+ * @param {String|Connection} [connection]
+ * @return {ODM}
+ */
+function bindConnection(connection) {
+  if (connection === undefined || connection === null) {
+    return ODM;
+  }
+
+  if (!(connection instanceof Connection)) {
+    connection = ODM.connection(connection);
+  }
+
+  if (connection.$odm === undefined) {
+    var odm = Object.create(ODM);
+
+    Connection.METHODS.forEach(function (method) {
+      odm[method] = connection[method].bind(connection);
+    });
+
+    Object.defineProperty(odm, 'db', {
+      enumerable: true,
+      get: function () {
+        return connection.db;
+      }
+    });
+
+    Object.defineProperty(connection, '$odm', {value: odm});
+  }
+
+  return connection.$odm;
+}
+
 module.exports = ODM;
 
 // Initialization
 
-schema.addSchema({
-  "type": "object",
-  "id": "MongoDb#ObjectId",
-  "description": "MongoDB ObjectID",
-  "properties": {
-    "id": {"type": "string"},
-    "_bsontype": {"type": "string"}
-  }
-}, "MongoDb#ObjectId");
\ No newline at end of file
+bson.schemas().forEach(function (schemaDef) {
+  schema.addSchema(schemaDef, schemaDef.id);
+});
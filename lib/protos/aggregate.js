@@ -0,0 +1,219 @@
+/**
+ * This module contains functions related to Object Document Mapping between JavaScript and MongoDB.
+ *
+ * @author <a href="mailto:plopes@roughcookie.com">Paulo Lopes</a>
+ */
+'use strict';
+
+/** @private */
+var common = require('./common');
+
+var parseSpec = common.parseSpec;
+
+/**
+ * Fluent aggregation pipeline builder, runs with the aggregate function of a model.
+ *
+ *      Order.aggregate().match({status: 'paid'}).group({_id: '$customer', total: {$sum: '$amount'}})
+ *        .sort('-total').limit(10).exec(function (error, results) {});
+ *
+ * @name Aggregate
+ * @constructor
+ * @param {Model|SchemaModel} model model class the pipeline runs on
+ * @param {Object[]} [pipeline] initial stages
+ */
+function Aggregate(model, pipeline) {
+  this.model = model;
+  this._pipeline = pipeline ? pipeline.slice() : [];
+  this._cast = false;
+  this._withDeleted = false;
+}
+
+/**
+ * Adds a raw stage to the pipeline.
+ *
+ * @memberOf Aggregate.prototype
+ * @param {Object} stage
+ * @return {Aggregate}
+ */
+Aggregate.prototype.append = function (stage) {
+  this._pipeline.push(stage);
+  return this;
+};
+
+/**
+ * @memberOf Aggregate.prototype
+ * @param {Object} criteria
+ * @return {Aggregate}
+ */
+Aggregate.prototype.match = function (criteria) {
+  return this.append({$match: criteria});
+};
+
+/**
+ * @memberOf Aggregate.prototype
+ * @param {Object} group group specification with the _id expression and the accumulators
+ * @return {Aggregate}
+ */
+Aggregate.prototype.group = function (group) {
+  return this.append({$group: group});
+};
+
+/**
+ * Reshapes the documents, either a projection object or a space separated list where -name excludes a field.
+ *
+ * @memberOf Aggregate.prototype
+ * @param {String|Object} projection
+ * @return {Aggregate}
+ */
+Aggregate.prototype.project = function (projection) {
+  return this.append({$project: typeof projection === 'string' ? parseSpec(projection, 1, 0) : projection});
+};
+
+/**
+ * Outputs one document per element of the array field.
+ *
+ * @memberOf Aggregate.prototype
+ * @param {String} path field name, with or without the leading $
+ * @return {Aggregate}
+ */
+Aggregate.prototype.unwind = function (path) {
+  return this.append({$unwind: path.charAt(0) === '$' ? path : '$' + path});
+};
+
+/**
+ * Sorts the documents, either a sort object or a space separated list where -name sorts descending.
+ *
+ * @memberOf Aggregate.prototype
+ * @param {String|Object} sort
+ * @return {Aggregate}
+ */
+Aggregate.prototype.sort = function (sort) {
+  return this.append({$sort: typeof sort === 'string' ? parseSpec(sort, 1, -1) : sort});
+};
+
+/**
+ * @memberOf Aggregate.prototype
+ * @param {Number} skip
+ * @return {Aggregate}
+ */
+Aggregate.prototype.skip = function (skip) {
+  return this.append({$skip: skip});
+};
+
+/**
+ * @memberOf Aggregate.prototype
+ * @param {Number} limit
+ * @return {Aggregate}
+ */
+Aggregate.prototype.limit = function (limit) {
+  return this.append({$limit: limit});
+};
+
+/**
+ * Joins the documents of another collection, either a $lookup specification or the from, localField, foreignField
+ * and as fields. The from collection can also be a model class.
+ *
+ * @memberOf Aggregate.prototype
+ * @param {String|Function|Object} from collection name, model class or $lookup specification
+ * @param {String} [localField]
+ * @param {String} [foreignField]
+ * @param {String} [as] output array field
+ * @return {Aggregate}
+ */
+Aggregate.prototype.lookup = function (from, localField, foreignField, as) {
+  if (from !== null && typeof from === 'object') {
+    return this.append({$lookup: from});
+  }
+
+  return this.append({$lookup: {
+    from: typeof from === 'function' ? from.$collection : from,
+    localField: localField,
+    foreignField: foreignField,
+    as: as
+  }});
+};
+
+/**
+ * Casts the results that match the model shape to model instances.
+ *
+ * @memberOf Aggregate.prototype
+ * @param {Boolean} [cast] defaults to true
+ * @return {Aggregate}
+ */
+Aggregate.prototype.cast = function (cast) {
+  this._cast = cast !== false;
+  return this;
+};
+
+/**
+ * Includes soft deleted documents.
+ *
+ * @memberOf Aggregate.prototype
+ * @param {Boolean} [withDeleted] defaults to true
+ * @return {Aggregate}
+ */
+Aggregate.prototype.withDeleted = function (withDeleted) {
+  this._withDeleted = withDeleted !== false;
+  return this;
+};
+
+/**
+ * @memberOf Aggregate.prototype
+ * @return {Object[]} the stages of the pipeline
+ */
+Aggregate.prototype.pipeline = function () {
+  return this._pipeline;
+};
+
+/**
+ * Runs the pipeline.
+ *
+ * @memberOf Aggregate.prototype
+ * @param {Function} [callback] Callback function (error, results), if not present a Promise is returned
+ */
+Aggregate.prototype.exec = function (callback) {
+  var options = {};
+
+  if (this._cast) {
+    options.cast = true;
+  }
+  if (this._withDeleted) {
+    options.withDeleted = true;
+  }
+
+  return this.model.aggregate(this._pipeline.slice(), options, callback);
+};
+
+/**
+ * Runs the pipeline, makes the builder usable with await and as a Promise.
+ *
+ * @memberOf Aggregate.prototype
+ * @param {Function} [onFulfilled]
+ * @param {Function} [onRejected]
+ * @return {Promise}
+ */
+Aggregate.prototype.then = function (onFulfilled, onRejected) {
+  return this.exec().then(onFulfilled, onRejected);
+};
+
+/**
+ * @memberOf Aggregate.prototype
+ * @param {Function} onRejected
+ * @return {Promise}
+ */
+Aggregate.prototype['catch'] = function (onRejected) {
+  return this.exec().then(null, onRejected);
+};
+
+/**
+ * @memberOf Aggregate.prototype
+ * @param {Function} onFinally
+ * @return {Promise}
+ */
+Aggregate.prototype['finally'] = function (onFinally) {
+  return this.exec()['finally'](onFinally);
+};
+
+common.promisifyAll(Aggregate.prototype, ['exec']);
+
+module.exports = Aggregate;
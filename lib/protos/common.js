@@ -66,10 +66,141 @@ function after(times, callback) {
   };
 }
 
+/**
+ * @private
+ * Wraps a callback style function so that when it is called without a callback a Promise is returned instead.
+ * The arity of the wrapped function tells where its callback goes, undefined arguments are passed on as given so that
+ * a missing required argument such as findById(undefined) still reaches the wrapped function.
+ *
+ * @param {Function} fn function where the last argument is a callback(error, result)
+ * @return {Function}
+ */
+function promisify(fn) {
+  if (fn.$promisified === true) {
+    return fn;
+  }
+
+  var wrapper = function () {
+    var self = this;
+    var args = Array.prototype.slice.call(arguments);
+    var arity = fn.length;
+
+    if (arity > 0 && args.length >= arity) {
+      if (typeof args[arity - 1] === 'function') {
+        return fn.apply(self, args);
+      }
+      // the callback slot is taken by an undefined argument, the promise callback replaces it
+      args = args.slice(0, arity - 1);
+    } else if (args.length > 0 && typeof args[args.length - 1] === 'function') {
+      return fn.apply(self, args);
+    }
+
+    return new Promise(function (resolve, reject) {
+      args.push(function (error, result) {
+        if (error) {
+          return reject(error);
+        }
+        return resolve(result);
+      });
+
+      fn.apply(self, args);
+    });
+  };
+
+  Object.defineProperty(wrapper, '$promisified', {value: true});
+
+  return wrapper;
+}
+
+/**
+ * @private
+ * Replaces the named functions of an object with their promisified version.
+ *
+ * @param {Object} obj
+ * @param {String[]} names
+ */
+function promisifyAll(obj, names) {
+  var i;
+  for (i = 0; i < names.length; i++) {
+    if (typeof obj[names[i]] === 'function') {
+      obj[names[i]] = promisify(obj[names[i]]);
+    }
+  }
+}
+
+/**
+ * @private
+ * Parses a space separated list of names where a leading - negates the name.
+ *
+ * @param {String} spec
+ * @param {*} positive value for names
+ * @param {*} negative value for -names
+ * @return {Object}
+ */
+function parseSpec(spec, positive, negative) {
+  var result = {};
+  var names = spec.split(/\s+/);
+  var i;
+
+  for (i = 0; i < names.length; i++) {
+    if (names[i].length > 0) {
+      if (names[i].charAt(0) === '-') {
+        result[names[i].substr(1)] = negative;
+      } else {
+        result[names[i].charAt(0) === '+' ? names[i].substr(1) : names[i]] = positive;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @private
+ * Adds properties to a schema without modifying it, the schema and its properties are copied. Properties the schema
+ * already declares are kept.
+ *
+ * @param {Object} schemaDef
+ * @param {Object} properties property schemas by name
+ * @return {Object} the extended copy, or the schema itself if there is nothing to add
+ */
+function extendProperties(schemaDef, properties) {
+  var names = Object.keys(properties).filter(function (name) {
+    return !schemaDef.properties.hasOwnProperty(name);
+  });
+  var copy = {};
+  var key;
+
+  if (names.length === 0) {
+    return schemaDef;
+  }
+
+  for (key in schemaDef) {
+    if (schemaDef.hasOwnProperty(key)) {
+      copy[key] = schemaDef[key];
+    }
+  }
+
+  copy.properties = {};
+  for (key in schemaDef.properties) {
+    if (schemaDef.properties.hasOwnProperty(key)) {
+      copy.properties[key] = schemaDef.properties[key];
+    }
+  }
+  names.forEach(function (name) {
+    copy.properties[name] = properties[name];
+  });
+
+  return copy;
+}
 
 module.exports = {
   extractOption: extractOption,
   getOption: getOption,
-  after: after
+  after: after,
+  promisify: promisify,
+  promisifyAll: promisifyAll,
+  parseSpec: parseSpec,
+  extendProperties: extendProperties
 };
 
@@ -5,6 +5,19 @@
  */
 'use strict';
 
+/** @private */
+var defaults = require('../helpers/defaults');
+/** @private */
+var serializer = require('../helpers/serializer');
+/** @private */
+var drafts = require('../helpers/drafts');
+/** @private */
+var coerce = require('../helpers/coerce');
+/** @private */
+var strict = require('../helpers/strict');
+/** @private */
+var errors = require('../errors');
+
 /**
  * @private
  * @readonly
@@ -19,17 +32,56 @@ var PROTO = '__proto__';
  *
  * @param {ODM} odm ODM module
  * @param {Object} schemaDef Schema definition
+ * @param {Object} [modelOptions] model options
+ * @param {String} [modelOptions.draft] JSON Schema draft of the schema (draft-03, draft-07 or 2020-12), by default
+ *                                      the $schema of the schema or draft-03
+ * @param {Boolean} [modelOptions.coerce] convert strings to the types of the schema when constructing and casting
+ * @param {String|Boolean} [modelOptions.strict] properties the schema does not declare are rejected with a
+ *                                               ValidationError ('throw') or removed ('strip') when constructing and
+ *                                               casting, disabled by default (false)
  *
  * @return {Function}
  */
-function embeddedSchemaModelClassGenerator(odm, schemaDef) {
+function embeddedSchemaModelClassGenerator(odm, schemaDef, modelOptions) {
+
+  modelOptions = modelOptions || {};
+
+  schemaDef = drafts.use(schemaDef, modelOptions.draft);
+
+  /**
+   * @private
+   * true if strings are converted to the types of the schema
+   */
+  var coerceTypes = modelOptions.coerce === true;
+
+  /**
+   * @private
+   * throw or strip the undeclared properties, null if disabled
+   */
+  var strictMode = strict.config(modelOptions.strict);
+
+  /**
+   * @private
+   * Applies the strict option to a document.
+   *
+   * @param {Object} document
+   * @throws {ValidationError} in throw mode if the document has undeclared properties, named after the schema id
+   */
+  var checkStrict = function (document) {
+    var undeclared = strict.apply(odm, strictMode, EmbeddedSchemaModel.$schema, document);
+    if (undeclared.length > 0) {
+      throw new errors.ValidationError(schemaDef.id || schemaDef.$id || 'embedded document', undeclared);
+    }
+  };
 
   /**
    * Document EmbeddedSchemaModel Customized class for a mongodb document schema.
    * @global
    * @name EmbeddedSchemaModel
    * @constructor
-   * @param {Object} [json] if provided will update the current instance with the json properties
+   * @param {Object} [json] if provided will update the current instance with the json properties, missing properties
+   *                        get the schema default values
+   * @throws {ValidationError} if the strict option is 'throw' and the json has properties the schema does not declare
    */
   var EmbeddedSchemaModel = function (json) {
     if (json !== undefined && json !== null) {
@@ -40,6 +92,12 @@ function embeddedSchemaModelClassGenerator(odm, schemaDef) {
         }
       }
     }
+
+    if (coerceTypes) {
+      coerce.apply(odm, EmbeddedSchemaModel.$schema, this);
+    }
+    checkStrict(this);
+    defaults.apply(odm, EmbeddedSchemaModel.$schema, this);
   };
 
   /**
@@ -49,13 +107,42 @@ function embeddedSchemaModelClassGenerator(odm, schemaDef) {
   Object.defineProperty(EmbeddedSchemaModel, '$schema', {value: odm.createSchema(schemaDef)});
 
   /**
-   * Verifies if an Object is valid against the configured validator
+   * Copies this instance to a plain object. Properties the schema marks hidden or writeOnly are
+   * left out unless the hidden option is set, embedded $ref documents are serialized the same way.
+   *
+   * @memberOf EmbeddedSchemaModel.prototype
+   * @param {Object} [options]
+   * @param {String|String[]} [options.fields] whitelist of (dotted) paths
+   * @param {Boolean} [options.virtuals] include the virtual properties
+   * @param {Boolean} [options.hidden] include the hidden and writeOnly properties
+   * @param {Function} [options.transform] function (document, result) that can change or replace the result
+   * @return {Object}
+   */
+  EmbeddedSchemaModel.prototype.toObject = function (options) {
+    return serializer.toObject(odm, this, EmbeddedSchemaModel.$schema, options);
+  };
+
+  /**
+   * Same as toObject with the ObjectIds as hex strings, used by JSON.stringify.
+   *
+   * @memberOf EmbeddedSchemaModel.prototype
+   * @param {Object} [options] see toObject
+   * @return {Object}
+   */
+  EmbeddedSchemaModel.prototype.toJSON = function (options) {
+    return serializer.toObject(odm, this, EmbeddedSchemaModel.$schema, serializer.jsonOptions(options));
+  };
+
+  /**
+   * Verifies if an Object is valid against the configured validator. With the coerce option a converted copy is
+   * checked, the instance is not changed and the values that do not convert are reported with the coerce validator.
    * @memberOf EmbeddedSchemaModel.prototype
    * @param {Boolean} [verbose]
    * @return {Boolean|Object}
    */
   EmbeddedSchemaModel.prototype.validate = function (verbose) {
-    var validation = odm.validate(this, EmbeddedSchemaModel.$schema);
+    var validation = coerceTypes ? coerce.validate(odm, EmbeddedSchemaModel.$schema, this) :
+      odm.validate(this, EmbeddedSchemaModel.$schema);
     if (validation instanceof Array) {
       if (validation.length > 0) {
         if (verbose === true) {
@@ -82,16 +169,22 @@ function embeddedSchemaModelClassGenerator(odm, schemaDef) {
   };
 
   /**
-   * Casts a Object to this model class.
+   * Casts a Object to this model class, with the coerce option its strings are converted to the types of the schema
+   * and with the strict option its undeclared properties are rejected or removed.
    *
    * @static
    * @memberOf EmbeddedSchemaModel
    * @param {Object} obj Object to cast
    * @return {EmbeddedSchemaModel} the same object but casted
+   * @throws {ValidationError} if the strict option is 'throw' and the object has undeclared properties
    */
   EmbeddedSchemaModel.cast = function (obj) {
     if (obj !== undefined && obj !== null && typeof obj === 'object') {
       obj[PROTO] = EmbeddedSchemaModel.prototype;
+      if (coerceTypes) {
+        coerce.apply(odm, EmbeddedSchemaModel.$schema, obj);
+      }
+      checkStrict(obj);
     }
     return obj;
   };
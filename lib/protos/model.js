@@ -13,9 +13,39 @@ var ObjectId = mongodb.BSONPure.ObjectID;
 var objectIdRegExp = /^[0-9a-fA-F]{24}$/;
 /** @private */
 var common = require('./common');
+/** @private */
+var Query = require('./query');
+/** @private */
+var Aggregate = require('./aggregate');
+/** @private */
+var ModelStream = require('../helpers/stream');
+/** @private */
+var paginate = require('../helpers/paginate');
+/** @private */
+var timestamps = require('../helpers/timestamps');
+/** @private */
+var versioning = require('../helpers/versioning');
+/** @private */
+var dirty = require('../helpers/dirty');
+/** @private */
+var softDelete = require('../helpers/softdelete');
+/** @private */
+var bulk = require('../helpers/bulk');
+/** @private */
+var upsert = require('../helpers/upsert');
+/** @private */
+var sequence = require('../helpers/sequence');
+/** @private */
+var plugins = require('../helpers/plugins');
+/** @private */
+var serializer = require('../helpers/serializer');
+/** @private */
+var errors = require('../errors');
 
 var extractOption = common.extractOption;
 var getOption = common.getOption;
+var promisify = common.promisify;
+var promisifyAll = common.promisifyAll;
 
 /**
  * @private
@@ -31,15 +61,67 @@ var PROTO = '__proto__';
  *
  * @param {ODM} odm ODM module
  * @param {String} [mongoCollection] Collection name, if not present this is an embedded document
+ * @param {Object} [modelOptions] model options
+ * @param {Boolean|Object} [modelOptions.timestamps] maintain createdAt/updatedAt fields
+ * @param {Boolean|String} [modelOptions.versionKey] optimistic concurrency control field, true for __v
+ * @param {Boolean|String} [modelOptions.softDelete] mark removed documents with a deletion date, true for deletedAt
+ * @param {Object} [modelOptions.sequences] fields numbered from a counters collection on insert
+ * @param {Object} [modelOptions.statics] static functions by name
+ * @param {Object} [modelOptions.methods] instance functions by name
+ * @param {Object} [modelOptions.virtuals] virtual properties by name, a getter or {get, set}
  *
  * @return {Function}
  */
-function modelClassGenerator(odm, mongoCollection) {
+function modelClassGenerator(odm, mongoCollection, modelOptions) {
 
   if (mongoCollection === undefined) {
     throw new Error('No Mongo Collection supplied');
   }
 
+  modelOptions = modelOptions || {};
+
+  /**
+   * @private
+   * timestamp field names or null if disabled
+   */
+  var timestampsConfig = timestamps.config(modelOptions.timestamps);
+
+  /**
+   * @private
+   * version field name or null if disabled
+   */
+  var versionKey = versioning.config(modelOptions.versionKey);
+
+  /**
+   * @private
+   * deletion date field name or null if documents are really removed
+   */
+  var softDeleteField = softDelete.config(modelOptions.softDelete);
+
+  /**
+   * @private
+   * sequence fields or null if there are none
+   */
+  var sequences = sequence.config(mongoCollection, modelOptions.sequences);
+
+  /**
+   * @private
+   * fields maintained by the writes of modified documents
+   */
+  var trackingConfig = {timestamps: timestampsConfig, versionKey: versionKey};
+
+  /**
+   * @private
+   * fields maintained by the bulk writes, plain models have no schema to validate against
+   */
+  var bulkConfig = {
+    timestamps: timestampsConfig,
+    versionKey: versionKey,
+    softDelete: softDeleteField,
+    sequences: sequences,
+    schema: null
+  };
+
   /**
    * Document Customized class for a mongodb document schema.
    * @global
@@ -55,6 +137,19 @@ function modelClassGenerator(odm, mongoCollection) {
    */
   Object.defineProperty(Model, '$collection', {value: mongoCollection});
 
+  /**
+   * @private
+   * Enhances a document loaded from the DB to have ODM features and starts tracking its changes.
+   *
+   * @param {Object} document
+   * @param {Boolean} [track] false to leave the changes untracked, the document is then saved as a whole
+   * @return {Model} the same document
+   */
+  var hydrate = function (document, track) {
+    document[PROTO] = Model.prototype;
+    return track === false ? document : dirty.track(document);
+  };
+
   /**
    * Finds one element of this collection by the given query.
    *
@@ -90,6 +185,11 @@ function modelClassGenerator(odm, mongoCollection) {
       hasFields = true;
     }
 
+    // with fields the plain DB documents are returned unless lean is false
+    var lean = extractOption('lean', options, hasFields) || pluck !== undefined;
+
+    query = softDelete.scope(softDeleteField, query, options);
+
     var random = extractOption('random', options);
 
     if (random) {
@@ -110,7 +210,7 @@ function modelClassGenerator(odm, mongoCollection) {
             return callback(null, null);
           }
 
-          if (hasFields) {
+          if (lean) {
             if (pluck !== undefined) {
               documentLoaded = documentLoaded[pluck];
             }
@@ -118,8 +218,7 @@ function modelClassGenerator(odm, mongoCollection) {
           }
 
           // enhance the DB document do have ODM features
-          documentLoaded[PROTO] = Model.prototype;
-          return callback(null, documentLoaded);
+          return callback(null, hydrate(documentLoaded));
         });
       });
     }
@@ -133,7 +232,7 @@ function modelClassGenerator(odm, mongoCollection) {
         return callback(null, null);
       }
 
-      if (hasFields) {
+      if (lean) {
         if (pluck !== undefined) {
           documentLoaded = documentLoaded[pluck];
         }
@@ -141,8 +240,7 @@ function modelClassGenerator(odm, mongoCollection) {
       }
 
       // enhance the DB document do have ODM features
-      documentLoaded[PROTO] = Model.prototype;
-      return callback(null, documentLoaded);
+      return callback(null, hydrate(documentLoaded));
     });
   };
 
@@ -182,7 +280,7 @@ function modelClassGenerator(odm, mongoCollection) {
     }
 
     if (id === undefined) {
-      return callback('undefined id');
+      return callback(new errors.InvalidIdError(id));
     }
 
     var _id;
@@ -193,18 +291,20 @@ function modelClassGenerator(odm, mongoCollection) {
       if (typeof id === 'string' && id.length === 24 && objectIdRegExp.test(id)) {
         _id = ObjectId.createFromHexString(id);
       } else {
-        return callback('invalid object id');
+        return callback(new errors.InvalidIdError(id));
       }
     }
 
-    return odm.findOne(mongoCollection, {_id: _id}, fields, options, function (err, documentLoaded) {
+    var idQuery = softDelete.scope(softDeleteField, {_id: _id}, options);
+
+    return odm.findOne(mongoCollection, idQuery, fields, options, function (err, documentLoaded) {
       if (err) {
         return callback(err);
       }
 
       // if we search for an Id and get null it should return right away
       if (documentLoaded === null) {
-        return callback(mongoCollection + ' ' + _id.toHexString() + ' not found');
+        return callback(new errors.NotFoundError(mongoCollection, _id));
       }
 
       if (hasFields) {
@@ -215,19 +315,21 @@ function modelClassGenerator(odm, mongoCollection) {
       }
 
       // enhance the DB document do have ODM features
-      documentLoaded[PROTO] = Model.prototype;
-      return callback(null, documentLoaded);
+      return callback(null, hydrate(documentLoaded));
     });
   };
 
   /**
-   * Free form find in collection. The result is returned as a Array of this model objects.
+   * Free form find in collection. The result is returned as a Array of this model objects. Called with at most the
+   * query a chainable {@link Query} is returned instead, it can be awaited as well.
    *
    * @static
    * @memberOf Model
    * @param {Object} query MongoDB Query
    * @param {Object} [fields] filter the fields to be returned
-   * @param {Object} [options] options for the query
+   * @param {Object} [options] options for the query, lean: false returns model instances even with fields,
+   *                           track: true tracks the changes of the instances, instances with fields are always
+   *                           tracked
    * @param {Function} callback Callback function (error, model) with the result of the operation
    */
   Model.find = function (query, fields, options, callback) {
@@ -247,6 +349,8 @@ function modelClassGenerator(odm, mongoCollection) {
       }
     }
 
+    query = softDelete.scope(softDeleteField, query, options);
+
     var count = extractOption('count', options);
 
     if (count) {
@@ -262,6 +366,13 @@ function modelClassGenerator(odm, mongoCollection) {
       hasFields = true;
     }
 
+    // with fields the plain DB documents are returned unless lean is false
+    var lean = extractOption('lean', options, hasFields) || pluck !== undefined;
+
+    // multi document reads only track changes on request, tracking copies every document, partial documents are
+    // always tracked so saving them does not drop the fields they were loaded without
+    var track = extractOption('track', options, hasFields);
+
     return odm.find(mongoCollection, query, fields, options, function (err, documentsLoaded) {
       if (err) {
         return callback(err);
@@ -272,7 +383,7 @@ function modelClassGenerator(odm, mongoCollection) {
       }
 
       var i, len;
-      if (hasFields) {
+      if (lean) {
         if (pluck !== undefined) {
           for (i = 0, len = documentsLoaded.length; i < len; i++) {
             documentsLoaded[i] = documentsLoaded[i][pluck];
@@ -283,7 +394,7 @@ function modelClassGenerator(odm, mongoCollection) {
 
       for (i = 0, len = documentsLoaded.length; i < len; i++) {
         // enhance the DB document do have ODM features
-        documentsLoaded[i][PROTO] = Model.prototype;
+        hydrate(documentsLoaded[i], track);
       }
       return callback(null, documentsLoaded);
     });
@@ -297,7 +408,7 @@ function modelClassGenerator(odm, mongoCollection) {
    * @param {Object} query MongoDB Query
    * @param {Object} sort sorting order
    * @param {Object} document update
-   * @param {Object} [options] options for the query
+   * @param {Object} [options] options for the query, with fields the plain DB document is returned unless lean is false
    * @param {Function} callback Callback function (error, model) with the result of the operation
    */
   Model.findAndModify = function (query, sort, document, options, callback) {
@@ -306,7 +417,104 @@ function modelClassGenerator(odm, mongoCollection) {
       options = {};
     }
 
-    return odm.findAndModify(mongoCollection, query, sort, document, options, callback);
+    if (!options.remove) {
+      timestamps.update(timestampsConfig, document, options.upsert);
+      versioning.increment(versionKey, document);
+    }
+
+    var lean = extractOption('lean', options, options.fields !== undefined);
+
+    return odm.findAndModify(mongoCollection, query, sort, document, options, function (err, result, full) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!lean && result !== null && typeof result === 'object') {
+        hydrate(result);
+      }
+
+      return callback(null, result, full);
+    });
+  };
+
+  /**
+   * Finds the document matching the query or creates it with the equality fields of the query and the given values,
+   * in one atomic findAndModify. An existing document is returned as is.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Object} query MongoDB Query
+   * @param {Object} [values] fields of the created document
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error, result) with {model, created} where created is true if the
+   *                            document did not exist
+   */
+  Model.findOrCreate = function (query, values, options, callback) {
+    if (callback === undefined) {
+      if (options === undefined) {
+        callback = values;
+        values = {};
+      } else {
+        callback = options;
+      }
+      options = {};
+    }
+
+    query = query || {};
+    // the soft delete scope only filters, it is not a field of the created document
+    var scoped = softDelete.scope(softDeleteField, query, options);
+
+    var document = upsert.seed(query, values);
+    timestamps.insert(timestampsConfig, document);
+    versioning.insert(versionKey, document);
+
+    options.upsert = true;
+    options['new'] = true;
+
+    odm.findAndModify(mongoCollection, scoped, {}, upsert.setOnInsert(scoped, document), options,
+      function (err, result, full) {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(null, {model: hydrate(result), created: upsert.created(full)});
+      });
+  };
+
+  /**
+   * Updates the document matching the query or inserts it when nothing matches, in one atomic findAndModify. A plain
+   * object is applied as a $set.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Object} query MongoDB Query
+   * @param {Object} update update statement or fields to set
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error, result) with {model, created} where created is true if the
+   *                            document was inserted
+   */
+  Model.upsert = function (query, update, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    query = softDelete.scope(softDeleteField, query || {}, options);
+
+    update = upsert.update(update);
+    timestamps.update(timestampsConfig, update, true);
+    versioning.increment(versionKey, update);
+
+    options.upsert = true;
+    options['new'] = true;
+
+    odm.findAndModify(mongoCollection, query, {}, update, options, function (err, result, full) {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, {model: hydrate(result), created: upsert.created(full)});
+    });
   };
 
   /**
@@ -326,6 +534,113 @@ function modelClassGenerator(odm, mongoCollection) {
     return odm.stats(mongoCollection, options, callback);
   };
 
+  /**
+   * Runs an aggregation pipeline on this collection. Soft deleted documents are filtered out first unless the
+   * withDeleted option is set. Called with at most the pipeline a chainable {@link Aggregate} builder is returned.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Object[]} pipeline aggregation stages
+   * @param {Object} [options] options for the aggregation, cast: true casts the results that have an ObjectId _id to
+   *                           this model, other results such as $group outputs stay plain objects
+   * @param {Function} callback Callback function (error, results) with the result of the operation
+   */
+  Model.aggregate = function (pipeline, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    var cast = extractOption('cast', options);
+    var track = extractOption('track', options, false);
+    var scope = softDelete.scope(softDeleteField, {}, options);
+
+    if (Object.keys(scope).length > 0) {
+      pipeline = [{$match: scope}].concat(pipeline);
+    }
+
+    odm.aggregate(mongoCollection, pipeline, options, function (err, results) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (cast && results instanceof Array) {
+        var i, len;
+        for (i = 0, len = results.length; i < len; i++) {
+          if (results[i] !== null && typeof results[i] === 'object' && results[i]._id instanceof ObjectId) {
+            hydrate(results[i], track);
+          }
+        }
+      }
+
+      return callback(null, results);
+    });
+  };
+
+  /**
+   * Streams the documents matching the query without loading them all in memory. The stream is an object mode
+   * Readable that honours backpressure and closes the cursor when it ends or is destroyed.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Object} [query] MongoDB Query
+   * @param {Object} [fields] filter the fields to be returned
+   * @param {Object} [options] options for the query, pluck streams only the values of one field, track: true
+   *                           tracks the changes of the instances
+   * @return {ModelStream}
+   */
+  Model.stream = function (query, fields, options) {
+    var hasFields = true;
+
+    if (options === undefined) {
+      options = fields || {};
+      fields = {};
+      hasFields = false;
+    }
+
+    query = softDelete.scope(softDeleteField, query || {}, options);
+
+    var pluck = extractOption('pluck', options);
+
+    if (pluck !== undefined) {
+      // state that we only care about the plucked field
+      fields[pluck] = true;
+      hasFields = true;
+    }
+
+    // with fields the plain DB documents are streamed unless lean is false
+    var lean = extractOption('lean', options, hasFields) || pluck !== undefined;
+    var track = extractOption('track', options, hasFields);
+
+    options.cursor = true;
+
+    return new ModelStream(function (callback) {
+      odm.find(mongoCollection, query, fields, options, callback);
+    }, function (document) {
+      if (pluck !== undefined) {
+        return document[pluck];
+      }
+      return lean ? document : hydrate(document, track);
+    });
+  };
+
+  /**
+   * Paginates the documents matching the query. By default the pages are seeked with opaque cursors built from the
+   * sort key and the _id instead of skip: the result is {items, nextCursor, prevCursor, hasMore} and the cursors are
+   * passed as the after or before option for the next or previous page. With the page option the classic numbered
+   * pages are used and the result is {items, total, page, perPage, pages, hasMore}.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Object} [query] MongoDB Query
+   * @param {Object} [options] sort, limit (default 20), after, before or page, perPage, other options are passed to
+   * find
+   * @param {Function} callback Callback function (error, result) with the result of the operation
+   */
+  Model.paginate = function (query, options, callback) {
+    return paginate(Model, query, options, callback);
+  };
+
   /**
    * Finds all elements in this collection.
    *
@@ -336,7 +651,7 @@ function modelClassGenerator(odm, mongoCollection) {
    * @param {Function} callback Callback function (error, model) with the result of the operation
    */
   Model.findAll = function (fields, options, callback) {
-    Model.find({}, fields, options, callback);
+    return Model.find({}, fields, options, callback);
   };
 
   /**
@@ -360,6 +675,9 @@ function modelClassGenerator(odm, mongoCollection) {
         query = {};
       }
     }
+
+    query = softDelete.scope(softDeleteField, query, options);
+
     odm.count(mongoCollection, query, options, callback);
   };
 
@@ -393,7 +711,7 @@ function modelClassGenerator(odm, mongoCollection) {
 
     // special case when the property does not exist
     if (ids === undefined) {
-      callback(null, []);
+      return callback(null, []);
     }
 
     if (!ids instanceof Array) {
@@ -401,6 +719,7 @@ function modelClassGenerator(odm, mongoCollection) {
     }
 
     var pluck = extractOption('pluck', options);
+    var track = extractOption('track', options, false);
 
     if (pluck !== undefined) {
       // state that we only care about the plucked field
@@ -419,7 +738,7 @@ function modelClassGenerator(odm, mongoCollection) {
 
     for (i = 0, len = ids.length; i < len; i++) {
       if (!(ids[i] instanceof ObjectId)) {
-        return callback('Non ObjectId in the array');
+        return callback(new errors.InvalidIdError(ids[i]));
       }
 
       // build index for the missing data
@@ -436,7 +755,9 @@ function modelClassGenerator(odm, mongoCollection) {
       return callback(null, []);
     }
 
-    return odm.find(mongoCollection, {_id: {'$in': idsToFind}}, fields, options, function (err, documentsLoaded) {
+    var idsQuery = softDelete.scope(softDeleteField, {_id: {'$in': idsToFind}}, options);
+
+    return odm.find(mongoCollection, idsQuery, fields, options, function (err, documentsLoaded) {
       if (err) {
         return callback(err);
       }
@@ -454,8 +775,7 @@ function modelClassGenerator(odm, mongoCollection) {
               result[indexes[j]] = documentsLoaded[i][pluck];
             }
           } else {
-            result[indexes[j]] = documentsLoaded[i];
-            result[indexes[j]][PROTO] = Model.prototype;
+            result[indexes[j]] = hydrate(documentsLoaded[i], track);
           }
         }
       }
@@ -495,9 +815,9 @@ function modelClassGenerator(odm, mongoCollection) {
           isUnique = true;
         }
 
-        Model[methodName] = function (id, fields, options, callback) {
+        Model[methodName] = promisify(function (id, fields, options, callback) {
           if (id === undefined) {
-            return callback('undefined id');
+            return callback(new errors.InvalidIdError(id));
           }
 
           var query = {};
@@ -507,7 +827,7 @@ function modelClassGenerator(odm, mongoCollection) {
             return Model.findOne(query, fields, options, callback);
           }
           return Model.find(query, fields, options, callback);
-        };
+        });
       }
     }
 
@@ -521,7 +841,7 @@ function modelClassGenerator(odm, mongoCollection) {
   };
 
   /**
-   * Save this object instance to the backend mongodb instance.
+   * Save this object instance to the backend mongodb instance. Loaded documents only write their modified fields.
    *
    * @memberOf Model.prototype
    * @param {Object} [options] options for the query
@@ -535,22 +855,60 @@ function modelClassGenerator(odm, mongoCollection) {
 
     var self = this;
 
-    odm.save(mongoCollection, self, options, function (err, savedDocument) {
+    if (self._id !== undefined && dirty.isTracked(self)) {
+      // only send the modified fields
+      return dirty.update(odm, mongoCollection, self, trackingConfig, options, function (err) {
+        if (err) {
+          return callback(err);
+        }
+        return callback(null, self._id);
+      });
+    }
+
+    timestamps.save(timestampsConfig, self);
+
+    if (versioning.isVersioned(versionKey, self)) {
+      // replace only if nobody else changed the document since it was loaded
+      var version = self[versionKey];
+      var criteria = versioning.criteria(versionKey, self);
+      self[versionKey] = version + 1;
+
+      return odm.update(mongoCollection, criteria, self, options,
+        versioning.guard(versionKey, self, version, mongoCollection, function (err) {
+          if (err) {
+            return callback(err);
+          }
+          dirty.track(self);
+          return callback(null, self._id);
+        }));
+    }
+
+    versioning.insert(versionKey, self);
+
+    sequence.assign(odm, self._id === undefined ? sequences : null, self, function (err) {
       if (err) {
         return callback(err);
       }
-      // only inserts have savedDocument
-      if (self._id === undefined) {
-        if (savedDocument) {
-          self._id = savedDocument._id;
+
+      odm.save(mongoCollection, self, options, function (err, savedDocument) {
+        if (err) {
+          return callback(err);
         }
-      }
-      return callback(null, self._id);
+        // only inserts have savedDocument
+        if (self._id === undefined) {
+          if (savedDocument) {
+            self._id = savedDocument._id;
+          }
+        }
+        dirty.track(self);
+        return callback(null, self._id);
+      });
     });
   };
 
   /**
-   * Update this object instance to the backend mongodb instance.
+   * Update this object instance to the backend mongodb instance. Without partial update loaded documents only write
+   * their modified fields with $set/$unset.
    *
    * @memberOf Model.prototype
    * @param {Object} [partUpdate] partial update
@@ -590,7 +948,7 @@ function modelClassGenerator(odm, mongoCollection) {
               }
               partUpdate.$set[setPath[j]] = result;
             } else {
-              return callback('$setpath only accepts a String path');
+              return callback(new errors.ArgumentError('$setpath only accepts a String path'));
             }
           }
         } else {
@@ -605,13 +963,40 @@ function modelClassGenerator(odm, mongoCollection) {
             }
             partUpdate.$set[setPath] = result;
           } else {
-            return callback('$setpath only accepts a String path');
+            return callback(new errors.ArgumentError('$setpath only accepts a String path'));
           }
         }
       }
+
+      timestamps.update(timestampsConfig, partUpdate, options.upsert, self);
+    } else {
+      if (dirty.isTracked(self)) {
+        // only send the modified fields
+        return dirty.update(odm, mongoCollection, self, trackingConfig, options, callback);
+      }
+
+      timestamps.save(timestampsConfig, self);
+    }
+
+    var criteria = {_id: self._id};
+
+    if (versioning.isVersioned(versionKey, self)) {
+      // update only if nobody else changed the document since it was loaded
+      var version = self[versionKey];
+      criteria = versioning.criteria(versionKey, self);
+      if (partUpdate !== undefined) {
+        versioning.increment(versionKey, partUpdate, version);
+      }
+      self[versionKey] = version + 1;
+      callback = versioning.guard(versionKey, self, version, mongoCollection, callback);
     }
 
-    return odm.update(mongoCollection, {_id: self._id}, partUpdate !== undefined ? partUpdate : self, options, callback);
+    if (partUpdate === undefined) {
+      // the whole document was written, it is now unmodified
+      callback = dirty.trackAfter(self, callback);
+    }
+
+    return odm.update(mongoCollection, criteria, partUpdate !== undefined ? partUpdate : self, options, callback);
   };
 
   /**
@@ -627,11 +1012,45 @@ function modelClassGenerator(odm, mongoCollection) {
       options = {};
     }
 
-    odm.insert(mongoCollection, this, options, callback);
+    var self = this;
+
+    timestamps.insert(timestampsConfig, self);
+    versioning.insert(versionKey, self);
+
+    sequence.assign(odm, sequences, self, function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      odm.insert(mongoCollection, self, options, dirty.trackAfter(self, callback));
+    });
   };
 
   /**
-   * Remove this object instance from the backend mongodb instance.
+   * Verifies if the document was modified since it was loaded or last written. Documents that were never loaded or
+   * written are always modified.
+   *
+   * @memberOf Model.prototype
+   * @param {String} [path] dotted path, if omitted any modification counts
+   * @return {Boolean}
+   */
+  Model.prototype.isModified = function (path) {
+    return dirty.isModified(this, path);
+  };
+
+  /**
+   * Lists the paths modified since the document was loaded or last written, nested fields as dotted paths.
+   *
+   * @memberOf Model.prototype
+   * @return {String[]}
+   */
+  Model.prototype.modifiedPaths = function () {
+    return dirty.modifiedPaths(this);
+  };
+
+  /**
+   * Remove this object instance from the backend mongodb instance. With soft delete the instance is only marked as
+   * deleted.
    *
    * @memberOf Model.prototype
    * @param {Object} [options] options for the query
@@ -643,9 +1062,66 @@ function modelClassGenerator(odm, mongoCollection) {
       options = {};
     }
 
+    if (softDeleteField !== null) {
+      var self = this;
+      var now = new Date();
+
+      return softDelete.remove(odm, mongoCollection, softDeleteField, {_id: self._id}, now, options, function (err) {
+        if (err) {
+          return callback(err);
+        }
+        self[softDeleteField] = now;
+        return callback.apply(null, arguments);
+      });
+    }
+
+    odm.remove(mongoCollection, {_id: this._id}, options, callback);
+  };
+
+  /**
+   * Remove this object instance from the backend mongodb instance, even if the model uses soft delete.
+   *
+   * @memberOf Model.prototype
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error) with the result of the operation
+   */
+  Model.prototype.forceRemove = function (options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
     odm.remove(mongoCollection, {_id: this._id}, options, callback);
   };
 
+  /**
+   * Restores this soft deleted object instance.
+   *
+   * @memberOf Model.prototype
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error) with the result of the operation
+   */
+  Model.prototype.restore = function (options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    if (softDeleteField === null) {
+      return callback(new errors.StateError(mongoCollection + ' does not use soft delete'));
+    }
+
+    var self = this;
+
+    softDelete.restore(odm, mongoCollection, softDeleteField, {_id: self._id}, options, function (err) {
+      if (err) {
+        return callback(err);
+      }
+      delete self[softDeleteField];
+      return callback.apply(null, arguments);
+    });
+  };
+
   /**
    * @memberOf Model.prototype
    * @param {Object} options
@@ -661,9 +1137,12 @@ function modelClassGenerator(odm, mongoCollection) {
     var _id = self._id;
 
     if (!(_id instanceof ObjectId)) {
-      return callback('cannot reload a non stored model');
+      return callback(new errors.StateError('cannot reload a non stored model'));
     }
 
+    // soft deleted instances can be reloaded as well
+    options.withDeleted = true;
+
     return Model.findById(_id, options, function (err, documentLoaded) {
       if (err) {
         return callback(err);
@@ -683,6 +1162,7 @@ function modelClassGenerator(odm, mongoCollection) {
         }
       }
 
+      dirty.track(self);
       return callback(null);
     });
   };
@@ -702,7 +1182,25 @@ function modelClassGenerator(odm, mongoCollection) {
       options = {};
     }
 
-    return odm.findAndModify(mongoCollection, {_id: this._id}, {_id: 'asc'}, document, options, callback);
+    if (!options.remove) {
+      timestamps.update(timestampsConfig, document, options.upsert, this);
+      versioning.increment(versionKey, document);
+    }
+
+    var lean = extractOption('lean', options, options.fields !== undefined);
+
+    return odm.findAndModify(mongoCollection, {_id: this._id}, {_id: 'asc'}, document, options,
+      function (err, result, full) {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!lean && result !== null && typeof result === 'object') {
+          hydrate(result);
+        }
+
+        return callback(null, result, full);
+      });
   };
 
   /**
@@ -768,7 +1266,8 @@ function modelClassGenerator(odm, mongoCollection) {
   };
 
   /**
-   * Remove this object instance from the backend mongodb instance.
+   * Remove this object instance from the backend mongodb instance. With soft delete the matching documents are only
+   * marked as deleted.
    *
    * @static
    * @memberOf Model
@@ -782,9 +1281,53 @@ function modelClassGenerator(odm, mongoCollection) {
       options = {};
     }
 
+    if (softDeleteField !== null) {
+      return softDelete.remove(odm, mongoCollection, softDeleteField, query, new Date(), options, callback);
+    }
+
     odm.remove(mongoCollection, query, options, callback);
   };
 
+  /**
+   * Remove the matching documents from the backend mongodb instance, even if the model uses soft delete.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Object} query Search query of objects to remove
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error) with the result of the operation
+   */
+  Model.forceRemove = function (query, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    odm.remove(mongoCollection, query, options, callback);
+  };
+
+  /**
+   * Restores the matching soft deleted documents.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Object} query Search query of objects to restore
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error, updated) with the result of the operation
+   */
+  Model.restore = function (query, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    if (softDeleteField === null) {
+      return callback(new errors.StateError(mongoCollection + ' does not use soft delete'));
+    }
+
+    softDelete.restore(odm, mongoCollection, softDeleteField, query, options, callback);
+  };
+
   /**
    * Save this object instance to the backend mongodb instance.
    *
@@ -800,6 +1343,9 @@ function modelClassGenerator(odm, mongoCollection) {
       options = {};
     }
 
+    timestamps.save(timestampsConfig, document);
+    versioning.insert(versionKey, document);
+
     odm.save(mongoCollection, document, options, callback);
   };
 
@@ -818,7 +1364,111 @@ function modelClassGenerator(odm, mongoCollection) {
       options = {};
     }
 
-    odm.insert(mongoCollection, document, options, callback);
+    timestamps.insert(timestampsConfig, document);
+    versioning.insert(versionKey, document);
+
+    sequence.assign(odm, sequences, document, function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      odm.insert(mongoCollection, document, options, callback);
+    });
+  };
+
+  /**
+   * Returns the value the next inserted document will get in a sequence field, without allocating it.
+   *
+   * @static
+   * @memberOf Model
+   * @param {String} field sequence field
+   * @param {Object} [scope] values of the scope fields of the sequence
+   * @param {Function} callback Callback function (error, value) with the result of the operation
+   */
+  Model.peekSequence = function (field, scope, callback) {
+    if (callback === undefined) {
+      callback = scope;
+      scope = {};
+    }
+
+    if (sequences === null || !sequences.hasOwnProperty(field)) {
+      return callback(new errors.ArgumentError(field + ' is not a sequence of ' + mongoCollection));
+    }
+
+    sequence.peek(odm, sequences[field], scope, callback);
+  };
+
+  /**
+   * Restarts a sequence field, the next inserted document gets the given value.
+   *
+   * @static
+   * @memberOf Model
+   * @param {String} field sequence field
+   * @param {Object} [scope] values of the scope fields of the sequence
+   * @param {Number} [value] next value, defaults to the start of the sequence
+   * @param {Function} callback Callback function (error) with the result of the operation
+   */
+  Model.resetSequence = function (field, scope, value, callback) {
+    if (callback === undefined) {
+      if (value === undefined) {
+        callback = scope;
+        scope = {};
+      } else {
+        callback = value;
+      }
+      value = undefined;
+    }
+
+    if (typeof scope === 'number') {
+      value = scope;
+      scope = {};
+    }
+
+    if (sequences === null || !sequences.hasOwnProperty(field)) {
+      return callback(new errors.ArgumentError(field + ' is not a sequence of ' + mongoCollection));
+    }
+
+    sequence.reset(odm, sequences[field], scope, value, callback);
+  };
+
+  /**
+   * Inserts many documents, consecutive documents are sent to the driver in batches. The result reports the indexes
+   * of the documents that failed, see bulkWrite.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Object[]} documents documents to insert
+   * @param {Object} [options] ordered: false keeps inserting after a failed document
+   * @param {Function} callback Callback function (error, result) with the result of the operation
+   */
+  Model.insertMany = function (documents, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    bulk.insertMany(odm, mongoCollection, bulkConfig, documents, options, callback);
+  };
+
+  /**
+   * Runs a list of write operations: insertOne: {document}, updateOne/updateMany: {filter, update, upsert},
+   * replaceOne: {filter, replacement, upsert} and deleteOne/deleteMany: {filter}. Ordered writes (default) stop at
+   * the first failed operation. The result is {ok, insertedCount, updatedCount, upsertedCount, deletedCount,
+   * insertedIds, upsertedIds, validationErrors, writeErrors} where the errors are reported by operation index.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Object[]} operations write operations
+   * @param {Object} [options] ordered: false skips the failed operations and runs the others
+   * @param {Function} callback Callback function (error, result) with the result of the operation
+   */
+  Model.bulkWrite = function (operations, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    bulk.write(odm, mongoCollection, bulkConfig, operations, options, callback);
   };
 
   /**
@@ -837,6 +1487,9 @@ function modelClassGenerator(odm, mongoCollection) {
       options = {};
     }
 
+    timestamps.update(timestampsConfig, document, options.upsert);
+    versioning.increment(versionKey, document);
+
     odm.update(mongoCollection, query, document, options, callback);
   };
 
@@ -887,6 +1540,149 @@ function modelClassGenerator(odm, mongoCollection) {
     return {fn: Model.find, query: {}, fields: fields, options: options};
   };
 
+  /**
+   * Starts a chainable query on this collection.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Object} [criteria] initial query criteria
+   * @return {Query}
+   */
+  Model.query = function (criteria) {
+    return new Query(Model, criteria);
+  };
+
+  /**
+   * Starts a chainable query on this collection with a condition.
+   *
+   * @static
+   * @memberOf Model
+   * @param {String|Object} path path or criteria object
+   * @param {*} [value] value the path must be equal to
+   * @return {Query}
+   */
+  Model.where = function (path, value) {
+    var query = new Query(Model);
+    return query.where.apply(query, arguments);
+  };
+
+  /**
+   * Copies this instance to a plain object.
+   *
+   * @memberOf Model.prototype
+   * @param {Object} [options]
+   * @param {String|String[]} [options.fields] whitelist of (dotted) paths
+   * @param {Boolean} [options.virtuals] include the virtual properties
+   * @param {Boolean} [options.hidden] include the hidden and writeOnly properties
+   * @param {Function} [options.transform] function (document, result) that can change or replace the result
+   * @return {Object}
+   */
+  Model.prototype.toObject = function (options) {
+    return serializer.toObject(odm, this, null, options);
+  };
+
+  /**
+   * Same as toObject with the ObjectIds as hex strings, used by JSON.stringify.
+   *
+   * @memberOf Model.prototype
+   * @param {Object} [options] see toObject
+   * @return {Object}
+   */
+  Model.prototype.toJSON = function (options) {
+    return serializer.toObject(odm, this, null, serializer.jsonOptions(options));
+  };
+
+  /**
+   * Runs a plugin on this model. A plugin is a function (Model, options) that adds behaviour through static, method.
+   *
+   * @static
+   * @memberOf Model
+   * @param {Function} fn plugin function
+   * @param {Object} [options] options passed to the plugin
+   * @return {Model} this model class so calls can be chained
+   */
+  Model.plugin = function (fn, options) {
+    return plugins.apply(Model, fn, options);
+  };
+
+  /**
+   * Adds a static function to this model, existing functions are not replaced.
+   *
+   * @static
+   * @memberOf Model
+   * @param {String|Object} name function name or object of name to function
+   * @param {Function} [fn]
+   * @return {Model} this model class so calls can be chained
+   */
+  Model['static'] = function (name, fn) {
+    plugins.define(Model, name, fn, 'static');
+    return Model;
+  };
+
+  /**
+   * Adds an instance function to this model, existing functions are not replaced.
+   *
+   * @static
+   * @memberOf Model
+   * @param {String|Object} name function name or object of name to function
+   * @param {Function} [fn]
+   * @return {Model} this model class so calls can be chained
+   */
+  Model.method = function (name, fn) {
+    plugins.define(Model.prototype, name, fn, 'method');
+    return Model;
+  };
+
+  /**
+   * Adds a virtual property to the instances of this model. Virtuals are computed with a getter (and optionally a
+   * setter), they are not saved and not validated.
+   *
+   * @static
+   * @memberOf Model
+   * @param {String|Object} name property name or object of name to virtual
+   * @param {Function|Object} [virtual] getter or {get, set}
+   * @return {Model} this model class so calls can be chained
+   */
+  Model.virtual = function (name, virtual) {
+    plugins.virtual(Model.prototype, name, virtual);
+    return Model;
+  };
+
+  // when no callback is passed all asynchronous methods return a Promise
+  promisifyAll(Model, ['findOne', 'findById', 'find', 'findAll', 'findAndModify', 'findOrCreate', 'upsert', 'count',
+    'stats', 'aggregate', 'paginate', 'loadDbRef', 'ensureIndex', 'remove', 'forceRemove', 'restore', 'save', 'insert',
+    'insertMany', 'bulkWrite', 'update', 'peekSequence', 'resetSequence']);
+  promisifyAll(Model.prototype, ['save', 'update', 'insert', 'remove', 'forceRemove', 'restore', 'reload',
+    'findAndModify', 'snapshot', 'revert', 'flush']);
+
+  // find and aggregate with at most the query or pipeline return a chainable builder
+  var find = Model.find;
+  Model.find = function (query, fields, options, callback) {
+    if (arguments.length <= 1) {
+      return new Query(Model, query);
+    }
+    return find.apply(null, arguments);
+  };
+
+  var aggregate = Model.aggregate;
+  Model.aggregate = function (pipeline, options, callback) {
+    if (arguments.length <= 1) {
+      return new Aggregate(Model, pipeline);
+    }
+    return aggregate.apply(null, arguments);
+  };
+
+  // statics, methods and virtuals declared in the model options
+  if (modelOptions.statics) {
+    Model['static'](modelOptions.statics);
+  }
+  if (modelOptions.methods) {
+    Model.method(modelOptions.methods);
+  }
+  if (modelOptions.virtuals) {
+    Model.virtual(modelOptions.virtuals);
+  }
+
   return Model;
 }
 
@@ -0,0 +1,415 @@
+/**
+ * This module contains functions related to Object Document Mapping between JavaScript and MongoDB.
+ *
+ * @author <a href="mailto:plopes@roughcookie.com">Paulo Lopes</a>
+ */
+'use strict';
+
+/** @private */
+var common = require('./common');
+
+var parseSpec = common.parseSpec;
+
+/**
+ * @private
+ *
+ * @param {Object} target
+ * @param {Object} source
+ */
+function merge(target, source) {
+  var key;
+  for (key in source) {
+    if (source.hasOwnProperty(key)) {
+      target[key] = source[key];
+    }
+  }
+}
+
+/**
+ * @private
+ *
+ * @param {*} value
+ * @return {Boolean} true if the value is an object of query operators ($gt, $in, ...)
+ */
+function isOperatorObject(value) {
+  if (value === null || typeof value !== 'object' || value instanceof Array || value instanceof Date ||
+      value instanceof RegExp || value._bsontype !== undefined) {
+    return false;
+  }
+
+  var keys = Object.keys(value);
+  return keys.length > 0 && keys[0].charAt(0) === '$';
+}
+
+/**
+ * Chainable query builder, compiles to the find and count functions of a model.
+ *
+ *      Person.where('age').gte(18).where('country').in(['PT', 'NL']).select('name age').sort('-age').limit(10)
+ *        .exec(function (error, persons) {});
+ *
+ * @name Query
+ * @constructor
+ * @param {Model|SchemaModel} model model class the query runs on
+ * @param {Object} [criteria] initial query criteria
+ */
+function Query(model, criteria) {
+  this.model = model;
+  this._criteria = {};
+  this._fields = undefined;
+  this._sort = undefined;
+  this._skip = undefined;
+  this._limit = undefined;
+  this._lean = undefined;
+  this._withDeleted = false;
+  this._path = undefined;
+
+  if (criteria !== undefined && criteria !== null) {
+    merge(this._criteria, criteria);
+  }
+}
+
+/**
+ * @private
+ * Adds an operator condition to the current path.
+ *
+ * @param {String} operator
+ * @param {*} value
+ * @return {Query}
+ */
+Query.prototype._condition = function (operator, value) {
+  if (this._path === undefined) {
+    throw new Error(operator + ' must follow a where(path) call');
+  }
+
+  var condition = this._criteria[this._path];
+
+  // a plain value is replaced by the operator condition
+  if (!isOperatorObject(condition)) {
+    condition = this._criteria[this._path] = {};
+  }
+
+  condition[operator] = value;
+  return this;
+};
+
+/**
+ * Selects the path the following conditions apply to, with a value the path must be equal to it. An object adds its
+ * conditions to the query.
+ *
+ * @memberOf Query.prototype
+ * @param {String|Object} path
+ * @param {*} [value]
+ * @return {Query}
+ */
+Query.prototype.where = function (path, value) {
+  if (path !== null && typeof path === 'object') {
+    merge(this._criteria, path);
+    return this;
+  }
+
+  this._path = path;
+  if (arguments.length > 1) {
+    this._criteria[path] = value;
+  }
+  return this;
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {*} value the current path must be equal to
+ * @return {Query}
+ */
+Query.prototype.equals = function (value) {
+  if (this._path === undefined) {
+    throw new Error('equals must follow a where(path) call');
+  }
+  this._criteria[this._path] = value;
+  return this;
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {*} value
+ * @return {Query}
+ */
+Query.prototype.gt = function (value) {
+  return this._condition('$gt', value);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {*} value
+ * @return {Query}
+ */
+Query.prototype.gte = function (value) {
+  return this._condition('$gte', value);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {*} value
+ * @return {Query}
+ */
+Query.prototype.lt = function (value) {
+  return this._condition('$lt', value);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {*} value
+ * @return {Query}
+ */
+Query.prototype.lte = function (value) {
+  return this._condition('$lte', value);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {*} value
+ * @return {Query}
+ */
+Query.prototype.ne = function (value) {
+  return this._condition('$ne', value);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {Array} values
+ * @return {Query}
+ */
+Query.prototype['in'] = function (values) {
+  return this._condition('$in', values);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {Array} values
+ * @return {Query}
+ */
+Query.prototype.nin = function (values) {
+  return this._condition('$nin', values);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {Array} values
+ * @return {Query}
+ */
+Query.prototype.all = function (values) {
+  return this._condition('$all', values);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {Boolean} [exists] defaults to true
+ * @return {Query}
+ */
+Query.prototype.exists = function (exists) {
+  return this._condition('$exists', exists !== false);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {RegExp|String} regexp
+ * @return {Query}
+ */
+Query.prototype.regex = function (regexp) {
+  return this._condition('$regex', regexp);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {Object[]} conditions alternatives, at least one must match
+ * @return {Query}
+ */
+Query.prototype.or = function (conditions) {
+  this._criteria.$or = (this._criteria.$or || []).concat(conditions);
+  return this;
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {Object[]} conditions all must match
+ * @return {Query}
+ */
+Query.prototype.and = function (conditions) {
+  this._criteria.$and = (this._criteria.$and || []).concat(conditions);
+  return this;
+};
+
+/**
+ * Selects the returned fields, either a projection object or a space separated list where -name excludes a field.
+ *
+ * @memberOf Query.prototype
+ * @param {String|Object} fields
+ * @return {Query}
+ */
+Query.prototype.select = function (fields) {
+  if (this._fields === undefined) {
+    this._fields = {};
+  }
+  merge(this._fields, typeof fields === 'string' ? parseSpec(fields, 1, 0) : fields);
+  return this;
+};
+
+/**
+ * Sorts the results, either a sort object or a space separated list where -name sorts descending.
+ *
+ * @memberOf Query.prototype
+ * @param {String|Object} sort
+ * @return {Query}
+ */
+Query.prototype.sort = function (sort) {
+  if (this._sort === undefined) {
+    this._sort = {};
+  }
+  merge(this._sort, typeof sort === 'string' ? parseSpec(sort, 1, -1) : sort);
+  return this;
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {Number} skip
+ * @return {Query}
+ */
+Query.prototype.skip = function (skip) {
+  this._skip = skip;
+  return this;
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {Number} limit
+ * @return {Query}
+ */
+Query.prototype.limit = function (limit) {
+  this._limit = limit;
+  return this;
+};
+
+/**
+ * Returns the plain DB documents instead of model instances. Queries that select fields return plain documents unless
+ * lean is false, their instances only save the changed fields.
+ *
+ * @memberOf Query.prototype
+ * @param {Boolean} [lean] defaults to true
+ * @return {Query}
+ */
+Query.prototype.lean = function (lean) {
+  this._lean = lean !== false;
+  return this;
+};
+
+/**
+ * Includes soft deleted documents.
+ *
+ * @memberOf Query.prototype
+ * @param {Boolean} [withDeleted] defaults to true
+ * @return {Query}
+ */
+Query.prototype.withDeleted = function (withDeleted) {
+  this._withDeleted = withDeleted !== false;
+  return this;
+};
+
+/**
+ * @memberOf Query.prototype
+ * @return {Object} the query criteria
+ */
+Query.prototype.getQuery = function () {
+  return this._criteria;
+};
+
+/**
+ * @memberOf Query.prototype
+ * @return {Object} the options passed to the model find
+ */
+Query.prototype.getOptions = function () {
+  // like the model find, a projection returns the plain documents by default
+  var options = {lean: this._lean !== undefined ? this._lean : this._fields !== undefined};
+
+  if (this._sort !== undefined) {
+    options.sort = this._sort;
+  }
+  if (this._skip !== undefined) {
+    options.skip = this._skip;
+  }
+  if (this._limit !== undefined) {
+    options.limit = this._limit;
+  }
+  if (this._withDeleted) {
+    options.withDeleted = true;
+  }
+
+  return options;
+};
+
+/**
+ * Runs the query.
+ *
+ * @memberOf Query.prototype
+ * @param {Function} [callback] Callback function (error, models), if not present a Promise is returned
+ */
+Query.prototype.exec = function (callback) {
+  var criteria = {};
+  merge(criteria, this._criteria);
+
+  var fields = {};
+  if (this._fields !== undefined) {
+    merge(fields, this._fields);
+  }
+
+  return this.model.find(criteria, fields, this.getOptions(), callback);
+};
+
+/**
+ * Counts the documents matching the query, sort, skip and limit are ignored.
+ *
+ * @memberOf Query.prototype
+ * @param {Function} [callback] Callback function (error, count), if not present a Promise is returned
+ */
+Query.prototype.count = function (callback) {
+  var criteria = {};
+  merge(criteria, this._criteria);
+
+  var options = {};
+  if (this._withDeleted) {
+    options.withDeleted = true;
+  }
+
+  return this.model.count(criteria, options, callback);
+};
+
+/**
+ * Runs the query, makes the query usable with await and as a Promise.
+ *
+ * @memberOf Query.prototype
+ * @param {Function} [onFulfilled]
+ * @param {Function} [onRejected]
+ * @return {Promise}
+ */
+Query.prototype.then = function (onFulfilled, onRejected) {
+  return this.exec().then(onFulfilled, onRejected);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {Function} onRejected
+ * @return {Promise}
+ */
+Query.prototype['catch'] = function (onRejected) {
+  return this.exec().then(null, onRejected);
+};
+
+/**
+ * @memberOf Query.prototype
+ * @param {Function} onFinally
+ * @return {Promise}
+ */
+Query.prototype['finally'] = function (onFinally) {
+  return this.exec()['finally'](onFinally);
+};
+
+common.promisifyAll(Query.prototype, ['exec', 'count']);
+
+module.exports = Query;
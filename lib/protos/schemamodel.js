@@ -18,9 +18,49 @@ var objectIdRegExp = /^[0-9a-fA-F]{24}$/;
 var baseModel = require('./model');
 /** @private */
 var common = require('./common');
+/** @private */
+var Query = require('./query');
+/** @private */
+var Aggregate = require('./aggregate');
+/** @private */
+var ModelStream = require('../helpers/stream');
+/** @private */
+var paginate = require('../helpers/paginate');
+/** @private */
+var Hooks = require('../helpers/hooks');
+/** @private */
+var timestamps = require('../helpers/timestamps');
+/** @private */
+var versioning = require('../helpers/versioning');
+/** @private */
+var dirty = require('../helpers/dirty');
+/** @private */
+var defaults = require('../helpers/defaults');
+/** @private */
+var softDelete = require('../helpers/softdelete');
+/** @private */
+var bulk = require('../helpers/bulk');
+/** @private */
+var upsert = require('../helpers/upsert');
+/** @private */
+var sequence = require('../helpers/sequence');
+/** @private */
+var plugins = require('../helpers/plugins');
+/** @private */
+var serializer = require('../helpers/serializer');
+/** @private */
+var drafts = require('../helpers/drafts');
+/** @private */
+var coerce = require('../helpers/coerce');
+/** @private */
+var strict = require('../helpers/strict');
+/** @private */
+var errors = require('../errors');
 
 var extractOption = common.extractOption;
 var getOption = common.getOption;
+var promisify = common.promisify;
+var promisifyAll = common.promisifyAll;
 
 /**
  * @private
@@ -37,16 +77,85 @@ var PROTO = '__proto__';
  * @param {ODM} odm ODM module
  * @param {String} mongoCollection Collection name, if not present this is an embedded document
  * @param {Object} schemaDef Schema definition
+ * @param {Object} [modelOptions] model options
+ * @param {Boolean|Object} [modelOptions.timestamps] maintain createdAt/updatedAt fields
+ * @param {Boolean|String} [modelOptions.versionKey] optimistic concurrency control field, true for __v
+ * @param {Boolean|String} [modelOptions.softDelete] mark removed documents with a deletion date, true for deletedAt
+ * @param {Object} [modelOptions.sequences] fields numbered from a counters collection on insert, schema properties can
+ *                                          also declare a sequence
+ * @param {Object} [modelOptions.statics] static functions by name
+ * @param {Object} [modelOptions.methods] instance functions by name
+ * @param {Object} [modelOptions.virtuals] virtual properties by name, a getter or {get, set}
+ * @param {String} [modelOptions.draft] JSON Schema draft of the schema (draft-03, draft-07 or 2020-12), by default
+ *                                      the $schema of the schema or draft-03
+ * @param {Boolean} [modelOptions.coerce] convert strings to the types of the schema when constructing, casting and
+ *                                        writing
+ * @param {String|Boolean} [modelOptions.strict] properties the schema does not declare are rejected with a
+ *                                               ValidationError ('throw') or removed ('strip') when constructing,
+ *                                               casting and in the $set of updates, disabled by default (false)
  *
  * @return {Function}
  */
-function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
+function schemaModelClassGenerator(odm, mongoCollection, schemaDef, modelOptions) {
+
+  modelOptions = modelOptions || {};
+
+  schemaDef = drafts.use(schemaDef, modelOptions.draft);
+
+  /**
+   * @private
+   * timestamp field names or null if disabled
+   */
+  var timestampsConfig = timestamps.config(modelOptions.timestamps);
+
+  /**
+   * @private
+   * version field name or null if disabled
+   */
+  var versionKey = versioning.config(modelOptions.versionKey);
+
+  /**
+   * @private
+   * fields maintained by the writes of modified documents
+   */
+  var trackingConfig = {timestamps: timestampsConfig, versionKey: versionKey};
+
+  /**
+   * @private
+   * deletion date field name or null if documents are really removed
+   */
+  var softDeleteField = softDelete.config(modelOptions.softDelete);
+
+  /**
+   * @private
+   * sequence fields of the model options and the schema or null if there are none
+   */
+  var sequences = sequence.config(mongoCollection, modelOptions.sequences, schemaDef);
+
+  /**
+   * @private
+   * true if strings are converted to the types of the schema
+   */
+  var coerceTypes = modelOptions.coerce === true;
+
+  /**
+   * @private
+   * throw or strip the undeclared properties, null if disabled
+   */
+  var strictMode = strict.config(modelOptions.strict);
+
+  // the timestamp, version and deletion fields are part of the schema
+  schemaDef = timestamps.extendSchema(timestampsConfig, schemaDef);
+  schemaDef = versioning.extendSchema(versionKey, schemaDef);
+  schemaDef = softDelete.extendSchema(softDeleteField, schemaDef);
 
   /**
    * @global
    * @name SchemaModel
    * @constructor
-   * @param {Object} [json] if provided will update the current instance with the json properties
+   * @param {Object} [json] if provided will update the current instance with the json properties, missing properties
+   *                        get the schema default values
+   * @throws {ValidationError} if the strict option is 'throw' and the json has properties the schema does not declare
    */
   var SchemaModel = function (json) {
     if (json !== undefined && json !== null) {
@@ -57,6 +166,26 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
         }
       }
     }
+
+    if (coerceTypes) {
+      coerce.apply(odm, SchemaModel.$schema, this);
+    }
+    checkStrict(this);
+    defaults.apply(odm, SchemaModel.$schema, this);
+  };
+
+  /**
+   * @private
+   * Applies the strict option to a document.
+   *
+   * @param {Object} document
+   * @throws {ValidationError} in throw mode if the document has undeclared properties
+   */
+  var checkStrict = function (document) {
+    var undeclared = strict.apply(odm, strictMode, SchemaModel.$schema, document, ['_id']);
+    if (undeclared.length > 0) {
+      throw new errors.ValidationError(mongoCollection, undeclared);
+    }
   };
 
   /**
@@ -72,13 +201,27 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
   Object.defineProperty(SchemaModel, '$schema', {value: odm.createSchema(schemaDef)});
 
   /**
-   * Verifies if an Object is valid against the configured validator
+   * @private
+   * fields maintained by the bulk writes and the schema the documents are validated against
+   */
+  var bulkConfig = {
+    timestamps: timestampsConfig,
+    versionKey: versionKey,
+    softDelete: softDeleteField,
+    sequences: sequences,
+    schema: SchemaModel.$schema
+  };
+
+  /**
+   * Verifies if an Object is valid against the configured validator. With the coerce option a converted copy is
+   * checked, the instance is not changed and the values that do not convert are reported with the coerce validator.
    * @memberOf SchemaModel.prototype
    * @param {Boolean} [verbose]
    * @return {Boolean|Object}
    */
   SchemaModel.prototype.validate = function (verbose) {
-    var validation = odm.validate(this, SchemaModel.$schema);
+    var validation = coerceTypes ? coerce.validate(odm, SchemaModel.$schema, this) :
+      odm.validate(this, SchemaModel.$schema);
     if (validation instanceof Array) {
       if (validation.length > 0) {
         if (verbose === true) {
@@ -104,23 +247,149 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
     return this.validate();
   };
 
-  var BaseModel = baseModel(odm, mongoCollection);
+  /**
+   * @private
+   * pre/post middleware of this model
+   */
+  var hooks = new Hooks();
+
+  /**
+   * Registers a function to run before an operation (validate, save, insert, update or remove) on an instance.
+   * The function runs with the document as this and receives a next(error) callback, it can also return a Promise.
+   * Calling next with an error, rejecting or throwing aborts the operation.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {String} name operation name
+   * @param {Function} fn hook function
+   * @return {SchemaModel} this model class so calls can be chained
+   */
+  SchemaModel.pre = function (name, fn) {
+    hooks.add('pre', name, fn);
+    return SchemaModel;
+  };
+
+  /**
+   * Registers a function to run after an operation (validate, save, insert, update or remove) on an instance
+   * completed. An error from the hook is passed to the operation callback.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {String} name operation name
+   * @param {Function} fn hook function
+   * @return {SchemaModel} this model class so calls can be chained
+   */
+  SchemaModel.post = function (name, fn) {
+    hooks.add('post', name, fn);
+    return SchemaModel;
+  };
+
+  /**
+   * @private
+   * Validates the document running the validate hooks around the schema validation. With the coerce option the strings
+   * assigned since the document was constructed are converted first, the written values have the schema types.
+   *
+   * @param {SchemaModel} document
+   * @param {Object|null} pending sequences the document gets after the validation, their fields are not required yet
+   * @param {Function} callback Callback function (error)
+   */
+  var validateWithHooks = function (document, pending, callback) {
+    hooks.run('pre', 'validate', document, function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (coerceTypes) {
+        coerce.apply(odm, SchemaModel.$schema, document);
+      }
+
+      var validation = sequence.pending(pending, document, document.validate(true));
+      if (validation !== null) {
+        return callback(new errors.ValidationError(mongoCollection, validation));
+      }
+
+      return hooks.run('post', 'validate', document, callback);
+    });
+  };
+
+  /**
+   * @private
+   * Wraps the callback of a driver call so the post hooks run before the callback gets the result.
+   *
+   * @param {String} name operation name
+   * @param {SchemaModel} document
+   * @param {Function} callback
+   * @return {Function}
+   */
+  var withPostHooks = function (name, document, callback) {
+    return function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      var args = arguments;
+
+      return hooks.run('post', name, document, function (err) {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback.apply(null, args);
+      });
+    };
+  };
+
+  var BaseModel = baseModel(odm, mongoCollection, modelOptions);
+
+  /**
+   * @private
+   * Sets the prototype of an Object, with the coerce option its strings are converted to the types of the schema.
+   *
+   * @param {Object} obj
+   * @return {SchemaModel} the same object
+   */
+  var setPrototype = function (obj) {
+    if (obj !== undefined && obj !== null && typeof obj === 'object') {
+      obj[PROTO] = SchemaModel.prototype;
+      if (coerceTypes) {
+        coerce.apply(odm, SchemaModel.$schema, obj);
+      }
+    }
+    return obj;
+  };
 
   /**
-   * Casts a Object to this model class.
+   * Casts a Object to this model class, with the coerce option its strings are converted to the types of the schema
+   * and with the strict option its undeclared properties are rejected or removed.
    *
    * @static
    * @memberOf SchemaModel
    * @param {Object} obj Object to cast
    * @return {SchemaModel} the same object but casted
+   * @throws {ValidationError} if the strict option is 'throw' and the object has undeclared properties
    */
   SchemaModel.cast = function (obj) {
+    setPrototype(obj);
     if (obj !== undefined && obj !== null && typeof obj === 'object') {
-      obj[PROTO] = SchemaModel.prototype;
+      checkStrict(obj);
     }
     return obj;
   };
 
+  /**
+   * @private
+   * Casts a document loaded from the DB and starts tracking its changes. Stored documents are not checked by the
+   * strict option, fields written before it was enabled stay readable.
+   *
+   * @param {Object} document
+   * @param {Boolean} [track] false to leave the changes untracked, the document is then saved as a whole
+   * @return {SchemaModel} the same document
+   */
+  var hydrate = function (document, track) {
+    setPrototype(document);
+    return track === false ? document : dirty.track(document);
+  };
+
   /**
    * Finds one element of this collection by the given query.
    *
@@ -156,6 +425,11 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
       hasFields = true;
     }
 
+    // with fields the plain DB documents are returned unless lean is false
+    var lean = extractOption('lean', options, hasFields) || pluck !== undefined;
+
+    query = softDelete.scope(softDeleteField, query, options);
+
     var random = extractOption('random', options);
 
     if (random) {
@@ -176,7 +450,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
             return callback(null, null);
           }
 
-          if (hasFields) {
+          if (lean) {
             if (pluck !== undefined) {
               documentLoaded = documentLoaded[pluck];
             }
@@ -184,8 +458,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
           }
 
           // enhance the DB document do have ODM features
-          documentLoaded[PROTO] = SchemaModel.prototype;
-          return callback(null, documentLoaded);
+          return callback(null, hydrate(documentLoaded));
         });
       });
     }
@@ -199,12 +472,12 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
         return callback(null, null);
       }
 
-      if (hasFields) {
+      if (lean) {
         if (pluck !== undefined) {
           documentLoaded = documentLoaded[pluck];
         }
       } else {
-        documentLoaded[PROTO] = SchemaModel.prototype;
+        hydrate(documentLoaded);
       }
 
       return callback(null, documentLoaded);
@@ -247,7 +520,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
     }
 
     if (id === undefined) {
-      return callback('undefined id');
+      return callback(new errors.InvalidIdError(id));
     }
 
     var _id;
@@ -258,18 +531,20 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
       if (typeof id === 'string' && id.length === 24 && objectIdRegExp.test(id)) {
         _id = ObjectId.createFromHexString(id);
       } else {
-        return callback('invalid object id');
+        return callback(new errors.InvalidIdError(id));
       }
     }
 
-    return odm.findOne(mongoCollection, {_id: _id}, fields, options, function (err, documentLoaded) {
+    var idQuery = softDelete.scope(softDeleteField, {_id: _id}, options);
+
+    return odm.findOne(mongoCollection, idQuery, fields, options, function (err, documentLoaded) {
       if (err) {
         return callback(err);
       }
 
       // if we search for an Id and get null it should return right away
       if (documentLoaded === null) {
-        return callback(mongoCollection + ' ' + _id.toHexString() + ' not found');
+        return callback(new errors.NotFoundError(mongoCollection, _id));
       }
 
       if (hasFields) {
@@ -277,20 +552,23 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
           documentLoaded = documentLoaded[pluck];
         }
       } else {
-        documentLoaded[PROTO] = SchemaModel.prototype;
+        hydrate(documentLoaded);
       }
       return callback(null, documentLoaded);
     });
   };
 
   /**
-   * Free form find in collection. The result is returned as a Array of this model objects.
+   * Free form find in collection. The result is returned as a Array of this model objects. Called with at most the
+   * query a chainable {@link Query} is returned instead, it can be awaited as well.
    *
    * @static
    * @memberOf SchemaModel
    * @param {Object} query MongoDB Query
    * @param {Object} [fields] filter the fields to be returned
-   * @param {Object} [options] options for the query
+   * @param {Object} [options] options for the query, lean: false returns model instances even with fields,
+   *                           track: true tracks the changes of the instances, instances with fields are always
+   *                           tracked
    * @param {Function} callback Callback function (error, model) with the result of the operation
    */
   SchemaModel.find = function (query, fields, options, callback) {
@@ -310,6 +588,8 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
       }
     }
 
+    query = softDelete.scope(softDeleteField, query, options);
+
     var count = extractOption('count', options);
 
     if (count) {
@@ -325,6 +605,13 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
       hasFields = true;
     }
 
+    // with fields the plain DB documents are returned unless lean is false
+    var lean = extractOption('lean', options, hasFields) || pluck !== undefined;
+
+    // multi document reads only track changes on request, tracking copies every document, partial documents are
+    // always tracked so saving them does not drop the fields they were loaded without
+    var track = extractOption('track', options, hasFields);
+
     return odm.find(mongoCollection, query, fields, options, function (err, documentsLoaded) {
       if (err) {
         return callback(err);
@@ -348,7 +635,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
               });
             });
           } else {
-            callback(new Error("Cursor is closed"), null);
+            callback(new errors.StateError('Cursor is closed'), null);
           }
         };
 
@@ -361,12 +648,12 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
               return callback(error);
             }
             if (item !== null) {
-              if (hasFields) {
+              if (lean) {
                 if (pluck !== undefined) {
                   return callback(error, item[pluck]);
                 }
               } else {
-                item[PROTO] = SchemaModel.prototype;
+                hydrate(item, track);
               }
               return callback(error, item);
             }
@@ -377,7 +664,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
       }
 
       var i, len;
-      if (hasFields) {
+      if (lean) {
         if (pluck !== undefined) {
           for (i = 0, len = documentsLoaded.length; i < len; i++) {
             documentsLoaded[i] = documentsLoaded[i][pluck];
@@ -385,13 +672,77 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
         }
       } else {
         for (i = 0, len = documentsLoaded.length; i < len; i++) {
-          documentsLoaded[i][PROTO] = SchemaModel.prototype;
+          hydrate(documentsLoaded[i], track);
         }
       }
       return callback(null, documentsLoaded);
     });
   };
 
+  /**
+   * Streams the documents matching the query without loading them all in memory. The stream is an object mode
+   * Readable that honours backpressure and closes the cursor when it ends or is destroyed.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object} [query] MongoDB Query
+   * @param {Object} [fields] filter the fields to be returned
+   * @param {Object} [options] options for the query, pluck streams only the values of one field, track: true
+   *                           tracks the changes of the instances
+   * @return {ModelStream}
+   */
+  SchemaModel.stream = function (query, fields, options) {
+    var hasFields = true;
+
+    if (options === undefined) {
+      options = fields || {};
+      fields = {};
+      hasFields = false;
+    }
+
+    query = softDelete.scope(softDeleteField, query || {}, options);
+
+    var pluck = extractOption('pluck', options);
+
+    if (pluck !== undefined) {
+      // state that we only care about the plucked field
+      fields[pluck] = true;
+      hasFields = true;
+    }
+
+    // with fields the plain DB documents are streamed unless lean is false
+    var lean = extractOption('lean', options, hasFields) || pluck !== undefined;
+    var track = extractOption('track', options, hasFields);
+
+    options.cursor = true;
+
+    return new ModelStream(function (callback) {
+      odm.find(mongoCollection, query, fields, options, callback);
+    }, function (document) {
+      if (pluck !== undefined) {
+        return document[pluck];
+      }
+      return lean ? document : hydrate(document, track);
+    });
+  };
+
+  /**
+   * Paginates the documents matching the query. By default the pages are seeked with opaque cursors built from the
+   * sort key and the _id instead of skip: the result is {items, nextCursor, prevCursor, hasMore} and the cursors are
+   * passed as the after or before option for the next or previous page. With the page option the classic numbered
+   * pages are used and the result is {items, total, page, perPage, pages, hasMore}.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object} [query] MongoDB Query
+   * @param {Object} [options] sort, limit (default 20), after, before or page, perPage, other options are passed to
+   * find
+   * @param {Function} callback Callback function (error, result) with the result of the operation
+   */
+  SchemaModel.paginate = function (query, options, callback) {
+    return paginate(SchemaModel, query, options, callback);
+  };
+
   /**
    * Finds all elements in this collection.
    *
@@ -402,7 +753,106 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
    * @param {Function} callback Callback function (error, model) with the result of the operation
    */
   SchemaModel.findAll = function (fields, options, callback) {
-    SchemaModel.find({}, fields, options, callback);
+    return SchemaModel.find({}, fields, options, callback);
+  };
+
+  /**
+   * Finds the document matching the query or creates it with the equality fields of the query and the given values,
+   * in one atomic findAndModify. The created document gets the schema default values and is validated against the
+   * schema first, an existing document is returned as is.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object} query MongoDB Query
+   * @param {Object} [values] fields of the created document
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error, result) with {model, created} where created is true if the
+   *                            document did not exist
+   */
+  SchemaModel.findOrCreate = function (query, values, options, callback) {
+    if (callback === undefined) {
+      if (options === undefined) {
+        callback = values;
+        values = {};
+      } else {
+        callback = options;
+      }
+      options = {};
+    }
+
+    query = query || {};
+    // the soft delete scope only filters, it is not a field of the created document
+    var scoped = softDelete.scope(softDeleteField, query, options);
+
+    var document = upsert.seed(query, values);
+    var undeclared = strict.apply(odm, strictMode, SchemaModel.$schema, document, ['_id']);
+    if (undeclared.length > 0) {
+      return callback(new errors.ValidationError(mongoCollection, undeclared));
+    }
+    defaults.apply(odm, SchemaModel.$schema, document);
+    timestamps.insert(timestampsConfig, document);
+    versioning.insert(versionKey, document);
+
+    var validation = odm.validate(document, SchemaModel.$schema);
+    if (validation instanceof Array && validation.length > 0) {
+      return callback(new errors.ValidationError(mongoCollection, validation));
+    }
+
+    options.upsert = true;
+    options['new'] = true;
+
+    odm.findAndModify(mongoCollection, scoped, {}, upsert.setOnInsert(scoped, document), options,
+      function (err, result, full) {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(null, {model: hydrate(result), created: upsert.created(full)});
+      });
+  };
+
+  /**
+   * Updates the document matching the query or inserts it when nothing matches, in one atomic findAndModify. A plain
+   * object is applied as a $set, partial updates are not validated against the schema.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object} query MongoDB Query
+   * @param {Object} update update statement or fields to set
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error, result) with {model, created} where created is true if the
+   *                            document was inserted
+   */
+  SchemaModel.upsert = function (query, update, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    query = softDelete.scope(softDeleteField, query || {}, options);
+
+    update = upsert.update(update);
+    var undeclared = strict.update(odm, strictMode, SchemaModel.$schema, update, ['_id']);
+    if (undeclared.length > 0) {
+      return callback(new errors.ValidationError(mongoCollection, undeclared));
+    }
+    if (strict.isEmpty(strictMode, update)) {
+      // every path was stripped, only a missing document is inserted
+      update = upsert.setOnInsert(query, {});
+    }
+    timestamps.update(timestampsConfig, update, true);
+    versioning.increment(versionKey, update);
+
+    options.upsert = true;
+    options['new'] = true;
+
+    odm.findAndModify(mongoCollection, query, {}, update, options, function (err, result, full) {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, {model: hydrate(result), created: upsert.created(full)});
+    });
   };
 
   /**
@@ -426,6 +876,71 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
    */
   SchemaModel.stats = BaseModel.stats;
 
+  /**
+   * @private
+   * Tells an aggregation result shaped like a document of this model: an ObjectId _id, only the properties the schema
+   * declares and valid against the schema.
+   *
+   * @param {*} result
+   * @return {Boolean}
+   */
+  var isDocument = function (result) {
+    if (result === null || typeof result !== 'object' || !(result._id instanceof ObjectId)) {
+      return false;
+    }
+
+    var properties = SchemaModel.$schema.properties;
+    if (properties !== undefined && properties !== null && Object.keys(result).some(function (key) {
+      return key !== '_id' && !properties.hasOwnProperty(key);
+    })) {
+      return false;
+    }
+
+    return odm.validate(result, SchemaModel.$schema).length === 0;
+  };
+
+  /**
+   * Runs an aggregation pipeline on this collection. Soft deleted documents are filtered out first unless the
+   * withDeleted option is set. Called with at most the pipeline a chainable {@link Aggregate} builder is returned.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object[]} pipeline aggregation stages
+   * @param {Object} [options] options for the aggregation, cast: true casts the results shaped like documents of this
+   *                           model to it, other results such as $group outputs stay plain objects
+   * @param {Function} callback Callback function (error, results) with the result of the operation
+   */
+  SchemaModel.aggregate = function (pipeline, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    var cast = extractOption('cast', options);
+    var track = extractOption('track', options, false);
+    var scope = softDelete.scope(softDeleteField, {}, options);
+
+    if (Object.keys(scope).length > 0) {
+      pipeline = [{$match: scope}].concat(pipeline);
+    }
+
+    odm.aggregate(mongoCollection, pipeline, options, function (err, results) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (cast && results instanceof Array) {
+        var i, len;
+        for (i = 0, len = results.length; i < len; i++) {
+          if (isDocument(results[i])) {
+            hydrate(results[i], track);
+          }
+        }
+      }
+
+      return callback(null, results);
+    });
+  };
   /**
    * Loads documents referenced by id/ids. This is a helper function that calls internally find or findById
    * with the correct parameters. The order of the return is guaranteed, while with a find it is not.
@@ -464,6 +979,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
     }
 
     var pluck = extractOption('pluck', options);
+    var track = extractOption('track', options, false);
 
     if (pluck !== undefined) {
       // state that we only care about the plucked field
@@ -482,7 +998,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
 
     for (i = 0, len = ids.length; i < len; i++) {
       if (!(ids[i] instanceof ObjectId)) {
-        return callback('Non ObjectId in the array');
+        return callback(new errors.InvalidIdError(ids[i]));
       }
 
       // build index for the missing data
@@ -499,7 +1015,9 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
       return callback(null, []);
     }
 
-    return odm.find(mongoCollection, {_id: {'$in': idsToFind}}, fields, options, function (err, documentsLoaded) {
+    var idsQuery = softDelete.scope(softDeleteField, {_id: {'$in': idsToFind}}, options);
+
+    return odm.find(mongoCollection, idsQuery, fields, options, function (err, documentsLoaded) {
       if (err) {
         return callback(err);
       }
@@ -520,9 +1038,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
               result[indexes[j]] = documentsLoaded[i][pluck];
             }
           } else {
-            result[indexes[j]] = documentsLoaded[i];
-
-            result[indexes[j]][PROTO] = SchemaModel.prototype;
+            result[indexes[j]] = hydrate(documentsLoaded[i], track);
           }
         }
       }
@@ -566,9 +1082,9 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
           isUnique = true;
         }
 
-        SchemaModel[methodName] = function (id, fields, options, callback) {
+        SchemaModel[methodName] = promisify(function (id, fields, options, callback) {
           if (id === undefined) {
-            return callback('undefined id');
+            return callback(new errors.InvalidIdError(id));
           }
 
           var query = {};
@@ -578,7 +1094,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
             return SchemaModel.findOne(query, fields, options, callback);
           }
           return SchemaModel.find(query, fields, options, callback);
-        };
+        });
       }
     }
 
@@ -592,7 +1108,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
   };
 
   /**
-   * Save this object instance to the backend mongodb instance.
+   * Save this object instance to the backend mongodb instance. Loaded documents only write their modified fields.
    *
    * @memberOf SchemaModel.prototype
    * @param {Object} [options] options for the query
@@ -605,28 +1121,80 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
     }
 
     var self = this;
+    var tracked = self._id !== undefined && dirty.isTracked(self);
+
+    if (self._id === undefined) {
+      // will be inserted
+      defaults.apply(odm, SchemaModel.$schema, self);
+    }
 
-    var validation = self.validate(true);
-    if (validation !== null) {
-      return callback(validation);
+    if (!tracked) {
+      timestamps.save(timestampsConfig, self);
     }
 
-    return odm.save(mongoCollection, self, options, function (err, savedDocument) {
+    var pending = self._id === undefined ? sequences : null;
+
+    validateWithHooks(self, pending, function (err) {
       if (err) {
         return callback(err);
       }
-      // only inserts have savedDocument
-      if (self._id === undefined) {
-        if (savedDocument) {
-          self._id = savedDocument._id;
+
+      return sequence.assign(odm, pending, self, function (err) {
+        if (err) {
+          return callback(err);
         }
-      }
-      return callback(null, self._id);
+
+        return hooks.run('pre', 'save', self, function (err) {
+          if (err) {
+            return callback(err);
+          }
+
+          var saved = withPostHooks('save', self, function (err) {
+            if (err) {
+              return callback(err);
+            }
+            return callback(null, self._id);
+          });
+
+          if (tracked) {
+            // only send the modified fields
+            return dirty.update(odm, mongoCollection, self, trackingConfig, options, saved);
+          }
+
+          if (versioning.isVersioned(versionKey, self)) {
+            // replace only if nobody else changed the document since it was loaded
+            var version = self[versionKey];
+            var criteria = versioning.criteria(versionKey, self);
+            self[versionKey] = version + 1;
+
+            return odm.update(mongoCollection, criteria, self, options,
+              versioning.guard(versionKey, self, version, mongoCollection, dirty.trackAfter(self, saved)));
+          }
+
+          versioning.insert(versionKey, self);
+
+          return odm.save(mongoCollection, self, options, function (err, savedDocument) {
+            if (err) {
+              return callback(err);
+            }
+            // only inserts have savedDocument
+            if (self._id === undefined) {
+              if (savedDocument) {
+                self._id = savedDocument._id;
+              }
+            }
+            dirty.track(self);
+            return saved(null, savedDocument);
+          });
+        });
+      });
     });
   };
 
   /**
-   * Update this object instance to the backend mongodb instance.
+   * Update this object instance to the backend mongodb instance. Without update statement loaded documents only write
+   * their modified fields with $set/$unset. With the strict option the $set paths the schema does not declare are
+   * rejected or removed.
    *
    * @memberOf SchemaModel.prototype
    * @param {Object} [partUpdate] update statement
@@ -646,9 +1214,17 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
     }
 
     var self = this;
-    var validation;
+    var mustValidate = true;
 
     if (partUpdate !== undefined) {
+      var undeclared = strict.update(odm, strictMode, SchemaModel.$schema, partUpdate, ['_id']);
+      if (undeclared.length > 0) {
+        return callback(new errors.ValidationError(mongoCollection, undeclared));
+      }
+      if (strict.isEmpty(strictMode, partUpdate)) {
+        return callback(null, 0);
+      }
+
       var setPath = extractOption('$setpath', partUpdate);
       if (setPath) {
         var path, result, len, i;
@@ -667,7 +1243,7 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
               }
               partUpdate.$set[setPath[j]] = result;
             } else {
-              return callback('$setpath only accepts a String path');
+              return callback(new errors.ArgumentError('$setpath only accepts a String path'));
             }
           }
         } else {
@@ -682,23 +1258,61 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
             }
             partUpdate.$set[setPath] = result;
           } else {
-            return callback('$setpath only accepts a String path');
+            return callback(new errors.ArgumentError('$setpath only accepts a String path'));
           }
         }
-
-        validation = self.validate(true);
-        if (validation !== null) {
-          return callback(validation);
-        }
+      } else {
+        // plain partial updates cannot be validated against the schema
+        mustValidate = false;
       }
-    } else {
-      validation = self.validate(true);
-      if (validation !== null) {
-        return callback(validation);
+
+      timestamps.update(timestampsConfig, partUpdate, options.upsert, self);
+    } else if (!dirty.isTracked(self)) {
+      timestamps.save(timestampsConfig, self);
+    }
+
+    var update = function (err) {
+      if (err) {
+        return callback(err);
       }
+
+      return hooks.run('pre', 'update', self, function (err) {
+        if (err) {
+          return callback(err);
+        }
+
+        var criteria = {_id: self._id};
+        var done = withPostHooks('update', self, callback);
+
+        if (partUpdate === undefined) {
+          if (dirty.isTracked(self)) {
+            // only send the modified fields
+            return dirty.update(odm, mongoCollection, self, trackingConfig, options, done);
+          }
+          // the whole document is written, it is unmodified afterwards
+          done = dirty.trackAfter(self, done);
+        }
+
+        if (versioning.isVersioned(versionKey, self)) {
+          // update only if nobody else changed the document since it was loaded
+          var version = self[versionKey];
+          criteria = versioning.criteria(versionKey, self);
+          if (partUpdate !== undefined) {
+            versioning.increment(versionKey, partUpdate, version);
+          }
+          self[versionKey] = version + 1;
+          done = versioning.guard(versionKey, self, version, mongoCollection, done);
+        }
+
+        return odm.update(mongoCollection, criteria, partUpdate !== undefined ? partUpdate : self, options, done);
+      });
+    };
+
+    if (mustValidate) {
+      return validateWithHooks(self, null, update);
     }
 
-    return odm.update(mongoCollection, {_id: self._id}, partUpdate !== undefined ? partUpdate : self, options, callback);
+    return update(null);
   };
 
   /**
@@ -714,24 +1328,95 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
       options = {};
     }
 
-    var validation = this.validate(true);
-    if (validation !== null) {
-      callback(validation);
-    } else {
-      odm.insert(mongoCollection, this, options, callback);
+    var self = this;
+
+    defaults.apply(odm, SchemaModel.$schema, self);
+    timestamps.insert(timestampsConfig, self);
+    versioning.insert(versionKey, self);
+
+    validateWithHooks(self, sequences, function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      return sequence.assign(odm, sequences, self, function (err) {
+        if (err) {
+          return callback(err);
+        }
+
+        return hooks.run('pre', 'insert', self, function (err) {
+          if (err) {
+            return callback(err);
+          }
+
+          return odm.insert(mongoCollection, self, options,
+            dirty.trackAfter(self, withPostHooks('insert', self, callback)));
+        });
+      });
+    });
+  };
+
+  /**
+   * Remove this object instance from the backend mongodb instance. With soft delete the instance is only marked as
+   * deleted.
+   *
+   * @memberOf SchemaModel.prototype
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error) with the result of the operation
+   */
+  SchemaModel.prototype.remove = function (options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
     }
+
+    var self = this;
+
+    hooks.run('pre', 'remove', self, function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (softDeleteField !== null) {
+        return BaseModel.prototype.remove.call(self, options, withPostHooks('remove', self, callback));
+      }
+
+      return odm.remove(mongoCollection, {_id: self._id}, options, withPostHooks('remove', self, callback));
+    });
   };
 
   /**
-   * Remove this object instance from the backend mongodb instance.
+   * Remove this object instance from the backend mongodb instance, even if the model uses soft delete.
    *
+   * @memberOf SchemaModel.prototype
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error) with the result of the operation
+   */
+  SchemaModel.prototype.forceRemove = function (options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    var self = this;
+
+    hooks.run('pre', 'remove', self, function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      return odm.remove(mongoCollection, {_id: self._id}, options, withPostHooks('remove', self, callback));
+    });
+  };
+
+  /**
    * @type {Function}
    * @memberOf SchemaModel.prototype
    * @function
    * @param {Object|Function} [options] options for the query
    * @param {Function} callback Callback function (error) with the result of the operation
    */
-  SchemaModel.prototype.remove = BaseModel.prototype.remove;
+  SchemaModel.prototype.restore = BaseModel.prototype.restore;
 
   /**
    * @type {Function}
@@ -742,6 +1427,23 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
    */
   SchemaModel.prototype.reload = BaseModel.prototype.reload;
 
+  /**
+   * @type {Function}
+   * @memberOf SchemaModel.prototype
+   * @function
+   * @param {String} [path] dotted path, if omitted any modification counts
+   * @return {Boolean}
+   */
+  SchemaModel.prototype.isModified = BaseModel.prototype.isModified;
+
+  /**
+   * @type {Function}
+   * @memberOf SchemaModel.prototype
+   * @function
+   * @return {String[]}
+   */
+  SchemaModel.prototype.modifiedPaths = BaseModel.prototype.modifiedPaths;
+
   /**
    * @type {Function}
    * @memberOf SchemaModel.prototype
@@ -782,27 +1484,177 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
   SchemaModel.remove = BaseModel.remove;
 
   /**
-   * Insert this object instance to the backend mongodb instance.
+   * Remove the matching documents from the backend mongodb instance, even if the model uses soft delete.
    *
    * @static
    * @memberOf SchemaModel
    * @function
+   * @param {Object} query Search query of objects to remove
    * @param {Object} [options] options for the query
-   * @param {Function} callback Callback function (error, documentId) with the result of the operation
+   * @param {Function} callback Callback function (error) with the result of the operation
    */
-  SchemaModel.insert = BaseModel.insert;
+  SchemaModel.forceRemove = BaseModel.forceRemove;
 
   /**
-   * Remove this object instance from the backend mongodb instance.
+   * Restores the matching soft deleted documents.
    *
    * @static
    * @memberOf SchemaModel
    * @function
-   * @param {Object} query Search query of objects to remove
+   * @param {Object} query Search query of objects to restore
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error, updated) with the result of the operation
+   */
+  SchemaModel.restore = BaseModel.restore;
+
+  /**
+   * Insert documents to the backend mongodb instance, missing properties get the schema default values.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object|Object[]} document document or documents to insert
+   * @param {Object} [options] options for the query
+   * @param {Function} callback Callback function (error, documentId) with the result of the operation
+   */
+  SchemaModel.insert = function (document, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    defaults.apply(odm, SchemaModel.$schema, document);
+
+    sequence.assign(odm, sequences, document, function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      return BaseModel.insert(document, options, callback);
+    });
+  };
+
+  /**
+   * Returns the value the next inserted document will get in a sequence field, without allocating it.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {String} field sequence field
+   * @param {Object} [scope] values of the scope fields of the sequence
+   * @param {Function} callback Callback function (error, value) with the result of the operation
+   */
+  SchemaModel.peekSequence = function (field, scope, callback) {
+    if (callback === undefined) {
+      callback = scope;
+      scope = {};
+    }
+
+    if (sequences === null || !sequences.hasOwnProperty(field)) {
+      return callback(new errors.ArgumentError(field + ' is not a sequence of ' + mongoCollection));
+    }
+
+    sequence.peek(odm, sequences[field], scope, callback);
+  };
+
+  /**
+   * Restarts a sequence field, the next inserted document gets the given value.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {String} field sequence field
+   * @param {Object} [scope] values of the scope fields of the sequence
+   * @param {Number} [value] next value, defaults to the start of the sequence
+   * @param {Function} callback Callback function (error) with the result of the operation
+   */
+  SchemaModel.resetSequence = function (field, scope, value, callback) {
+    if (callback === undefined) {
+      if (value === undefined) {
+        callback = scope;
+        scope = {};
+      } else {
+        callback = value;
+      }
+      value = undefined;
+    }
+
+    if (typeof scope === 'number') {
+      value = scope;
+      scope = {};
+    }
+
+    if (sequences === null || !sequences.hasOwnProperty(field)) {
+      return callback(new errors.ArgumentError(field + ' is not a sequence of ' + mongoCollection));
+    }
+
+    sequence.reset(odm, sequences[field], scope, value, callback);
+  };
+
+  /**
+   * Inserts many documents, each one gets the schema default values and is validated against the schema before
+   * anything is written. The result reports the indexes of the documents that failed validation or at the driver,
+   * see bulkWrite. Like the static insert the instance hooks do not run.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object[]} documents documents to insert
+   * @param {Object} [options] ordered: false inserts the valid documents and keeps inserting after a failed one
+   * @param {Function} callback Callback function (error, result) with the result of the operation
+   */
+  SchemaModel.insertMany = function (documents, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    bulk.insertMany(odm, mongoCollection, bulkConfig, documents, options, callback);
+  };
+
+  /**
+   * Runs a list of write operations, inserted and replacement documents are validated against the schema before
+   * anything is written, operator updates cannot be validated. See Model.bulkWrite for the operations and the result.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object[]} operations write operations
+   * @param {Object} [options] ordered: false skips the failed operations and runs the others
+   * @param {Function} callback Callback function (error, result) with the result of the operation
+   */
+  SchemaModel.bulkWrite = function (operations, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    bulk.write(odm, mongoCollection, bulkConfig, operations, options, callback);
+  };
+
+  /**
+   * Updates the documents matching the query. With the strict option the $set paths the schema does not declare, or
+   * the undeclared properties of a replacement document, are rejected or removed.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object} query Search query of objects to update
+   * @param {Object} document update statement or replacement document
    * @param {Object} [options] options for the query
    * @param {Function} callback Callback function (error) with the result of the operation
    */
-  SchemaModel.update = BaseModel.update;
+  SchemaModel.update = function (query, document, options, callback) {
+    if (callback === undefined) {
+      callback = options;
+      options = {};
+    }
+
+    var undeclared = strict.update(odm, strictMode, SchemaModel.$schema, document, ['_id']);
+    if (undeclared.length > 0) {
+      return callback(new errors.ValidationError(mongoCollection, undeclared));
+    }
+    if (strict.isEmpty(strictMode, document)) {
+      // every path was stripped, nothing is updated
+      return callback(null, 0);
+    }
+
+    BaseModel.update(query, document, options, callback);
+  };
 
   /**
    * Prepares a find statement to run in parallel mode.
@@ -851,6 +1703,169 @@ function schemaModelClassGenerator(odm, mongoCollection, schemaDef) {
     return {fn: SchemaModel.find, query: {}, fields: fields, options: options};
   };
 
+  /**
+   * Starts a chainable query on this collection.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object} [criteria] initial query criteria
+   * @return {Query}
+   */
+  SchemaModel.query = function (criteria) {
+    return new Query(SchemaModel, criteria);
+  };
+
+  /**
+   * Starts a chainable query on this collection with a condition.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {String|Object} path path or criteria object
+   * @param {*} [value] value the path must be equal to
+   * @return {Query}
+   */
+  SchemaModel.where = function (path, value) {
+    var query = new Query(SchemaModel);
+    return query.where.apply(query, arguments);
+  };
+
+  /**
+   * Copies this instance to a plain object. Properties the schema marks hidden or writeOnly are
+   * left out unless the hidden option is set, embedded $ref documents are serialized the same way.
+   *
+   * @memberOf SchemaModel.prototype
+   * @param {Object} [options]
+   * @param {String|String[]} [options.fields] whitelist of (dotted) paths
+   * @param {Boolean} [options.virtuals] include the virtual properties
+   * @param {Boolean} [options.hidden] include the hidden and writeOnly properties
+   * @param {Function} [options.transform] function (document, result) that can change or replace the result
+   * @return {Object}
+   */
+  SchemaModel.prototype.toObject = function (options) {
+    return serializer.toObject(odm, this, SchemaModel.$schema, options);
+  };
+
+  /**
+   * Same as toObject with the ObjectIds as hex strings, used by JSON.stringify.
+   *
+   * @memberOf SchemaModel.prototype
+   * @param {Object} [options] see toObject
+   * @return {Object}
+   */
+  SchemaModel.prototype.toJSON = function (options) {
+    return serializer.toObject(odm, this, SchemaModel.$schema, serializer.jsonOptions(options));
+  };
+
+  /**
+   * Runs a plugin on this model. A plugin is a function (Model, options) that adds behaviour through static, method,
+   * pre, post and extendSchema.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Function} fn plugin function
+   * @param {Object} [options] options passed to the plugin
+   * @return {SchemaModel} this model class so calls can be chained
+   */
+  SchemaModel.plugin = function (fn, options) {
+    return plugins.apply(SchemaModel, fn, options);
+  };
+
+  /**
+   * Adds a static function to this model, existing functions are not replaced.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {String|Object} name function name or object of name to function
+   * @param {Function} [fn]
+   * @return {SchemaModel} this model class so calls can be chained
+   */
+  SchemaModel['static'] = function (name, fn) {
+    plugins.define(SchemaModel, name, fn, 'static');
+    return SchemaModel;
+  };
+
+  /**
+   * Adds an instance function to this model, existing functions are not replaced.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {String|Object} name function name or object of name to function
+   * @param {Function} [fn]
+   * @return {SchemaModel} this model class so calls can be chained
+   */
+  SchemaModel.method = function (name, fn) {
+    plugins.define(SchemaModel.prototype, name, fn, 'method');
+    return SchemaModel;
+  };
+
+  /**
+   * Adds a virtual property to the instances of this model. Virtuals are computed with a getter (and optionally a
+   * setter), they are not saved and not validated.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {String|Object} name property name or object of name to virtual
+   * @param {Function|Object} [virtual] getter or {get, set}
+   * @return {SchemaModel} this model class so calls can be chained
+   */
+  SchemaModel.virtual = function (name, virtual) {
+    plugins.virtual(SchemaModel.prototype, name, virtual);
+    return SchemaModel;
+  };
+
+  /**
+   * Adds the properties of a schema fragment to the schema of this model, properties the schema already declares are
+   * kept. Meant for plugins that add fields.
+   *
+   * @static
+   * @memberOf SchemaModel
+   * @param {Object} fragment schema with properties
+   * @return {SchemaModel} this model class so calls can be chained
+   */
+  SchemaModel.extendSchema = function (fragment) {
+    plugins.extendSchema(SchemaModel.$schema, fragment);
+
+    // the fragment can declare sequence fields
+    sequences = sequence.config(mongoCollection, modelOptions.sequences, SchemaModel.$schema);
+    bulkConfig.sequences = sequences;
+    return SchemaModel;
+  };
+
+  // when no callback is passed all asynchronous methods return a Promise
+  promisifyAll(SchemaModel, ['findOne', 'findById', 'find', 'findAll', 'findOrCreate', 'upsert', 'count', 'stats',
+    'aggregate', 'loadDbRef', 'paginate', 'ensureIndex', 'remove', 'forceRemove', 'restore', 'insert', 'insertMany',
+    'bulkWrite', 'update', 'peekSequence', 'resetSequence']);
+  promisifyAll(SchemaModel.prototype, ['save', 'update', 'insert', 'remove', 'forceRemove', 'restore', 'reload',
+    'snapshot', 'revert', 'flush']);
+
+  // find and aggregate with at most the query or pipeline return a chainable builder
+  var find = SchemaModel.find;
+  SchemaModel.find = function (query, fields, options, callback) {
+    if (arguments.length <= 1) {
+      return new Query(SchemaModel, query);
+    }
+    return find.apply(null, arguments);
+  };
+
+  var aggregate = SchemaModel.aggregate;
+  SchemaModel.aggregate = function (pipeline, options, callback) {
+    if (arguments.length <= 1) {
+      return new Aggregate(SchemaModel, pipeline);
+    }
+    return aggregate.apply(null, arguments);
+  };
+
+  // statics, methods and virtuals declared in the model options
+  if (modelOptions.statics) {
+    SchemaModel['static'](modelOptions.statics);
+  }
+  if (modelOptions.methods) {
+    SchemaModel.method(modelOptions.methods);
+  }
+  if (modelOptions.virtuals) {
+    SchemaModel.virtual(modelOptions.virtuals);
+  }
+
   return SchemaModel;
 }
 
@@ -20,6 +20,7 @@ var common = require('./common');
 var PROTO = '__proto__';
 
 var after = common.after;
+var promisifyAll = common.promisifyAll;
 
 /**
  * Creates a new View class
@@ -127,6 +128,9 @@ function viewClassGenerator(model, mapping) {
     });
   };
 
+  // when no callback is passed the finders return a Promise
+  promisifyAll(View, ['findOne', 'findById']);
+
   return View;
 }
 
@@ -0,0 +1,30 @@
+'use strict';
+
+var assert = require('assert');
+
+var mockOdm = require('./support/odm');
+var bulk = require('../lib/helpers/bulk');
+
+describe('bulk', function () {
+  var config = {timestamps: null, versionKey: null, softDelete: null, sequences: null, schema: null};
+
+  it('skips a long run of invalid operations of an unordered write', function (done) {
+    var odm = mockOdm();
+    var operations = [];
+    var i;
+
+    for (i = 0; i < 100000; i++) {
+      operations.push({unknownOne: {}});
+    }
+    operations.push({deleteOne: {filter: {name: 'Paulo'}}});
+
+    bulk.write(odm, 'bulk_persons', config, operations, {ordered: false}, function (err, result) {
+      assert.strictEqual(err, null);
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.validationErrors.length, 100000);
+      assert.strictEqual(odm.calls.length, 1);
+      assert.strictEqual(odm.calls[0].name, 'remove');
+      done();
+    });
+  });
+});
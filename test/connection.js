@@ -0,0 +1,74 @@
+'use strict';
+
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+
+var mongodb = require('mongodb');
+var ObjectID = mongodb.BSONPure.ObjectID;
+var Connection = require('../lib/connection');
+var mockOdm = require('./support/odm');
+var model = require('../lib/protos/model');
+
+describe('Connection', function () {
+  describe('flush', function () {
+    it('calls back after dropping a transient snapshot', function (done) {
+      var connection = new Connection('flush');
+      var oid = new ObjectID();
+
+      connection._snapshotsCache.set(oid.toHexString(), {_id: oid});
+      connection.flush('flushes', oid, {transient: true}, function (err) {
+        assert.strictEqual(err, null);
+        assert.strictEqual(connection._snapshotsCache.get(oid.toHexString()), undefined);
+        done();
+      });
+    });
+
+    it('settles the promise of a model flush', function () {
+      var connection = new Connection('flush');
+      var odm = mockOdm();
+      odm.flush = connection.flush.bind(connection);
+
+      var Flush = model(odm, 'flushes');
+      var document = new Flush();
+      document._id = new ObjectID();
+
+      return document.flush({transient: true});
+    });
+  });
+
+  describe('lost connection', function () {
+    var connect = mongodb.connect;
+    var db;
+
+    beforeEach(function () {
+      db = new EventEmitter();
+      db.close = function () {};
+      mongodb.connect = function (url, options, callback) {
+        setImmediate(function () {
+          callback(null, db);
+        });
+      };
+    });
+
+    afterEach(function () {
+      mongodb.connect = connect;
+    });
+
+    it('passes the driver error to the disconnected listeners', function (done) {
+      var connection = new Connection('lost');
+      var error = new Error('connection reset');
+
+      connection.connect('mongodb://127.0.0.1:27017/lost', {reconnect: false}, function (err) {
+        assert.ifError(err);
+
+        connection.on('disconnected', function (err) {
+          assert.strictEqual(err, error);
+          assert.strictEqual(connection.state, Connection.DISCONNECTED);
+          done();
+        });
+
+        db.emit('close', error);
+      });
+    });
+  });
+});
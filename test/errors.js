@@ -0,0 +1,39 @@
+'use strict';
+
+var assert = require('assert');
+
+var ObjectID = require('mongodb').BSONPure.ObjectID;
+var errors = require('../lib/errors');
+var mockOdm = require('./support/odm');
+var model = require('../lib/protos/model');
+
+describe('errors', function () {
+  var odm, Plain;
+
+  beforeEach(function () {
+    odm = mockOdm();
+    Plain = model(odm, 'errors_plain');
+  });
+
+  it('rejects restore on a model without soft delete with a StateError', function () {
+    return Plain.restore({}).then(function () {
+      assert.fail('restore resolved');
+    }, function (err) {
+      assert.ok(err instanceof errors.StateError);
+      assert.strictEqual(err.code, 'INVALID_STATE');
+      assert.strictEqual(odm.calls.length, 0);
+    });
+  });
+
+  it('rejects the instance restore the same way', function () {
+    var document = new Plain();
+    document._id = new ObjectID();
+
+    return document.restore().then(function () {
+      assert.fail('restore resolved');
+    }, function (err) {
+      assert.ok(err instanceof errors.StateError);
+      assert.strictEqual(err.code, 'INVALID_STATE');
+    });
+  });
+});
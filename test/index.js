@@ -0,0 +1,42 @@
+'use strict';
+
+var assert = require('assert');
+
+var ODM = require('../lib');
+
+describe('ODM', function () {
+  describe('db', function () {
+    afterEach(function () {
+      ODM.db = null;
+    });
+
+    it('binds the default connection to an assigned db', function (done) {
+      var collection = {};
+      var db = {
+        collection: function (name, options, callback) {
+          assert.strictEqual(name, 'persons');
+          callback(null, collection);
+        }
+      };
+
+      ODM.db = db;
+
+      assert.strictEqual(ODM.db, db);
+      assert.strictEqual(ODM.connection().state, 'connected');
+
+      ODM.collection('persons', function (err, result) {
+        assert.strictEqual(err, null);
+        assert.strictEqual(result, collection);
+        done();
+      });
+    });
+
+    it('detaches the db when null is assigned', function () {
+      ODM.db = {collection: function () {}};
+      ODM.db = null;
+
+      assert.strictEqual(ODM.db, null);
+      assert.strictEqual(ODM.connection().state, 'disconnected');
+    });
+  });
+});
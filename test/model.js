@@ -0,0 +1,59 @@
+'use strict';
+
+var assert = require('assert');
+
+var ObjectID = require('mongodb').BSONPure.ObjectID;
+
+var mockOdm = require('./support/odm');
+var model = require('../lib/protos/model');
+var errors = require('../lib/errors');
+
+describe('Model', function () {
+  var odm, Person;
+
+  beforeEach(function () {
+    odm = mockOdm();
+    Person = model(odm, 'model_persons', {softDelete: true});
+  });
+
+  describe('loadDbRef', function () {
+    it('calls back once with no documents when the ids are undefined', function (done) {
+      var calls = 0;
+
+      assert.doesNotThrow(function () {
+        Person.loadDbRef(undefined, function (err, documents) {
+          calls++;
+          assert.strictEqual(err, null);
+          assert.deepStrictEqual(documents, []);
+        });
+      });
+
+      setImmediate(function () {
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(odm.calls.length, 0);
+        done();
+      });
+    });
+  });
+
+  describe('promises', function () {
+    it('rejects findById(undefined) with an InvalidIdError', function () {
+      return Person.findById(undefined).then(function () {
+        assert.fail('expected a rejection');
+      }, function (err) {
+        assert.ok(err instanceof errors.InvalidIdError);
+        assert.strictEqual(odm.calls.length, 0);
+      });
+    });
+
+    it('returns a promise when the callback slot is undefined', function () {
+      var id = new ObjectID();
+
+      return Person.findById(id, {name: 1}, {}, undefined).then(function () {
+        assert.strictEqual(odm.calls.length, 1);
+        assert.strictEqual(odm.calls[0].name, 'findOne');
+        assert.deepStrictEqual(odm.calls[0].args[2], {name: 1});
+      });
+    });
+  });
+});
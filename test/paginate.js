@@ -0,0 +1,75 @@
+'use strict';
+
+var assert = require('assert');
+var ObjectID = require('mongodb').BSONPure.ObjectID;
+
+var paginate = require('../lib/helpers/paginate');
+
+describe('paginate', function () {
+  var first = {_id: new ObjectID(), age: 30};
+  var second = {_id: new ObjectID(), age: 30};
+  var model, criteria;
+
+  // returns the next page, the criteria of the last find are kept
+  var fakeModel = function (items) {
+    return {
+      find: function (query, options, callback) {
+        criteria = query;
+        setImmediate(function () {
+          callback(null, items.slice());
+        });
+      }
+    };
+  };
+
+  var nextCriteria = function (document, sort, done) {
+    model = fakeModel([document, second]);
+    paginate(model, {}, {sort: sort, limit: 1}, function (err, page) {
+      assert.strictEqual(err, null);
+      assert.strictEqual(page.hasMore, true);
+
+      paginate(model, {}, {sort: sort, limit: 1, after: page.nextCursor}, function (err) {
+        assert.strictEqual(err, null);
+        done(criteria);
+      });
+    });
+  };
+
+  it('pages past a null sort key in ascending order', function (done) {
+    nextCriteria({_id: first._id, age: null}, {age: 1}, function (criteria) {
+      assert.deepStrictEqual(criteria, {$or: [
+        {age: {$ne: null}},
+        {age: null, _id: {$gt: first._id}}
+      ]});
+      done();
+    });
+  });
+
+  it('treats a missing sort key as null', function (done) {
+    nextCriteria({_id: first._id}, {age: 1}, function (criteria) {
+      assert.deepStrictEqual(criteria, {$or: [
+        {age: {$ne: null}},
+        {age: null, _id: {$gt: first._id}}
+      ]});
+      done();
+    });
+  });
+
+  it('keeps the null sort keys after the others in descending order', function (done) {
+    nextCriteria(first, {age: -1}, function (criteria) {
+      assert.deepStrictEqual(criteria, {$or: [
+        {age: {$lt: 30}},
+        {age: null},
+        {age: 30, _id: {$lt: first._id}}
+      ]});
+      done();
+    });
+  });
+
+  it('does not look for lower values than null in descending order', function (done) {
+    nextCriteria({_id: first._id, age: null}, {age: -1}, function (criteria) {
+      assert.deepStrictEqual(criteria, {age: null, _id: {$lt: first._id}});
+      done();
+    });
+  });
+});
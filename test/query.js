@@ -0,0 +1,53 @@
+'use strict';
+
+var assert = require('assert');
+
+var ObjectID = require('mongodb').BSONPure.ObjectID;
+var mockOdm = require('./support/odm');
+var model = require('../lib/protos/model');
+
+describe('Query', function () {
+  var id, odm, Person;
+
+  beforeEach(function () {
+    id = new ObjectID();
+    odm = mockOdm({
+      find: function (collection, query, fields, options, callback) {
+        // the projection of the query
+        callback(null, [{_id: id, name: 'Paulo'}]);
+      },
+      update: function (collection, criteria, document, options, callback) {
+        callback(null, 1);
+      }
+    });
+    Person = model(odm, 'query_persons');
+  });
+
+  it('returns plain documents when fields are selected', function () {
+    return Person.where('age').gte(18).select('name').then(function (persons) {
+      assert.strictEqual(persons.length, 1);
+      assert.strictEqual(typeof persons[0].save, 'undefined');
+      assert.deepStrictEqual(odm.calls[0].args[2], {name: 1});
+    });
+  });
+
+  it('returns model instances without fields', function () {
+    return Person.where('age').gte(18).then(function (persons) {
+      assert.strictEqual(typeof persons[0].save, 'function');
+    });
+  });
+
+  it('saves only the changes of projected instances', function () {
+    return Person.where('age').gte(18).select('name').lean(false).then(function (persons) {
+      persons[0].name = 'Paulo Lopes';
+      return persons[0].save();
+    }).then(function () {
+      var update = odm.calls[1];
+      assert.strictEqual(update.name, 'update');
+      assert.deepStrictEqual(update.args[1], {_id: id});
+      // the fields that were not selected are left alone
+      assert.deepStrictEqual(update.args[2], {$set: {name: 'Paulo Lopes'}});
+      assert.strictEqual(odm.calls.filter(function (call) { return call.name === 'save'; }).length, 0);
+    });
+  });
+});
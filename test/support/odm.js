@@ -0,0 +1,41 @@
+'use strict';
+
+var ODM = require('../../lib');
+
+/**
+ * @private
+ * @readonly
+ * @const
+ *
+ * @type {String[]}
+ */
+var METHODS = ['findOne', 'find', 'findAndModify', 'count', 'aggregate', 'insert', 'update', 'save', 'remove'];
+
+/**
+ * ODM whose data access functions answer through handlers instead of a database. Every call is recorded in calls as
+ * {name, args} without the callback.
+ *
+ * @param {Object} [handlers] function name to function (args..., callback), unhandled calls get (null)
+ * @return {Object} odm
+ */
+module.exports = function (handlers) {
+  var odm = Object.create(ODM);
+  odm.calls = [];
+
+  METHODS.forEach(function (name) {
+    odm[name] = function () {
+      var args = Array.prototype.slice.call(arguments);
+      var callback = args.pop();
+      odm.calls.push({name: name, args: args});
+
+      setImmediate(function () {
+        if (handlers !== undefined && handlers[name] !== undefined) {
+          return handlers[name].apply(null, args.concat(callback));
+        }
+        return callback(null);
+      });
+    };
+  });
+
+  return odm;
+};